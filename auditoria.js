@@ -0,0 +1,197 @@
+'use strict';
+// auditoria.js - Registro de cambios (quién, qué, antes/después) y su consulta para admins
+const express = require('express');
+const pool = require('./db'); // pg Pool
+const { authorize } = require('./permisos');
+const { parseCursor, cursorWhere, paginar, quiereTotal } = require('./paginacion');
+const router = express.Router();
+
+/* ============ Utils ============ */
+const norm = (t) => (typeof t === 'string' ? t.trim() : '');
+const toIntNonNeg = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+const badRequest = (res, msg) => res.status(400).json({ mensaje: msg });
+const isFecha = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v));
+
+// Entidad auditada -> tabla
+const TABLAS = Object.freeze({
+  comida: 'comidas',
+  categoria: 'categoria',
+  pedido: 'pedidos',
+});
+
+// Columnas que se recalculan solas; no se registran como cambio
+const IGNORADAS = new Set(['busqueda', 'updated_at', 'fecha_actualizacion']);
+
+// Todas las funciones reciben `db`: el client de una transacción o el pool
+
+/**
+ * Fila completa de la entidad como JSON (null si no existe).
+ * Se lee igual antes y después del cambio para poder compararlas.
+ */
+const leerFila = async (db, entidad, id) => {
+  const { rows } = await db.query(
+    `SELECT to_jsonb(t) AS fila FROM ${TABLAS[entidad]} t WHERE t.id = $1`,
+    [id]
+  );
+  return rows[0]?.fila || null;
+};
+
+const sinIgnoradas = (fila) =>
+  fila && Object.fromEntries(Object.entries(fila).filter(([k]) => !IGNORADAS.has(k)));
+
+/**
+ * Deja en `antes` y `despues` solo los campos que cambiaron.
+ * En altas (sin antes) o bajas (sin despues) se guarda la fila entera.
+ * Devuelve null si no cambió nada.
+ */
+const diferencias = (antes, despues) => {
+  if (!antes && !despues) return null;
+  if (!antes || !despues) return { antes: sinIgnoradas(antes), despues: sinIgnoradas(despues) };
+
+  const a = {};
+  const d = {};
+  for (const k of new Set([...Object.keys(antes), ...Object.keys(despues)])) {
+    if (IGNORADAS.has(k) || JSON.stringify(antes[k]) === JSON.stringify(despues[k])) continue;
+    a[k] = antes[k] ?? null;
+    d[k] = despues[k] ?? null;
+  }
+  return Object.keys(d).length ? { antes: a, despues: d } : null;
+};
+
+/**
+ * Registra un cambio hecho por req.user (sin req o sin usuario queda como anónimo).
+ * Con el client de la transacción, el registro se confirma o descarta junto con el cambio.
+ * No registra nada si antes y despues coinciden.
+ */
+const registrarAuditoria = async (db, req, { accion, entidad, entidadId = null, antes = null, despues = null }) => {
+  const cambios = diferencias(antes, despues);
+  if (!cambios) return;
+
+  await db.query(
+    `INSERT INTO auditoria (usuario_id, rol, accion, entidad, entidad_id, antes, despues, ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      req?.user?.id ?? null,
+      req?.user?.rol ?? null,
+      accion,
+      entidad,
+      entidadId,
+      cambios.antes && JSON.stringify(cambios.antes),
+      cambios.despues && JSON.stringify(cambios.despues),
+      req?.ip || null,
+      (req?.get('user-agent') || '').slice(0, 500) || null,
+    ]
+  );
+};
+
+/**
+ * Lee la fila antes y después de `cambio()` y registra la diferencia.
+ * Devuelve lo que devuelva `cambio`. Si la fila no existe no se registra nada.
+ *
+ *   const { rows } = await auditarCambio(pool, req, { accion: 'actualizar', entidad: 'categoria', entidadId: id },
+ *     () => pool.query('UPDATE categoria SET ... WHERE id = $1 RETURNING ...', [id]));
+ */
+const auditarCambio = async (db, req, { accion, entidad, entidadId }, cambio) => {
+  const antes = await leerFila(db, entidad, entidadId);
+  const resultado = await cambio();
+  const despues = await leerFila(db, entidad, entidadId);
+  await registrarAuditoria(db, req, { accion, entidad, entidadId, antes, despues });
+  return resultado;
+};
+
+/* ============ GET /auditoria ============ */
+/**
+ * Query params:
+ *  - entidad, entidad_id, usuario_id, accion
+ *  - desde, hasta: YYYY-MM-DD (inclusive)
+ *  - limit, cursor (meta.next_cursor de la página anterior), con_total
+ * Respuesta: { items: [...], meta: { limit, next_cursor, total? } }, del más reciente al más antiguo
+ */
+const ORDEN_AUDITORIA = 'fecha:DESC';
+
+router.get('/auditoria', authorize('GET /auditoria'), asyncHandler(async (req, res) => {
+  const entidad = norm(req.query.entidad).toLowerCase();
+  const accion = norm(req.query.accion).toLowerCase();
+  const desde = norm(req.query.desde);
+  const hasta = norm(req.query.hasta);
+  const limit = Math.min(toIntNonNeg(req.query.limit) || 50, 200);
+
+  const cursor = parseCursor(req.query.cursor, ORDEN_AUDITORIA);
+  if (cursor.error) return badRequest(res, cursor.error);
+
+  if ((desde && !isFecha(desde)) || (hasta && !isFecha(hasta))) {
+    return badRequest(res, 'Las fechas deben tener formato YYYY-MM-DD');
+  }
+
+  const params = [];
+  const where = [];
+  const filtroId = (campo, col) => {
+    const raw = norm(req.query[campo]);
+    if (!raw) return null;
+    const n = toIntNonNeg(raw);
+    if (n === null) return `${campo} inválido`;
+    params.push(n);
+    where.push(`${col} = $${params.length}`);
+    return null;
+  };
+
+  if (entidad) {
+    params.push(entidad);
+    where.push(`a.entidad = $${params.length}`);
+  }
+  if (accion) {
+    params.push(accion);
+    where.push(`a.accion = $${params.length}`);
+  }
+  const errorId = filtroId('entidad_id', 'a.entidad_id') || filtroId('usuario_id', 'a.usuario_id');
+  if (errorId) return badRequest(res, errorId);
+  if (desde) {
+    params.push(desde);
+    where.push(`a.fecha >= $${params.length}::date`);
+  }
+  if (hasta) {
+    params.push(hasta);
+    where.push(`a.fecha < $${params.length}::date + 1`);
+  }
+
+  const whereSql = () => (where.length ? `WHERE ${where.join(' AND ')}` : '');
+  const totalPromise = quiereTotal(req.query.con_total)
+    ? pool.query(`SELECT COUNT(*)::int AS total FROM auditoria a ${whereSql()}`, [...params])
+    : null;
+
+  if (cursor.value) where.push(cursorWhere('a.fecha', 'a.id', 'DESC', cursor.value, params));
+
+  params.push(limit + 1);
+  const [{ rows }, totalResult] = await Promise.all([
+    pool.query(
+      `SELECT a.id, a.fecha, a.usuario_id, u.username, a.rol, a.accion,
+              a.entidad, a.entidad_id, a.antes, a.despues, a.ip, a.user_agent,
+              a.fecha::text AS cursor_valor
+       FROM auditoria a
+       LEFT JOIN usuarios u ON u.id = a.usuario_id
+       ${whereSql()}
+       ORDER BY a.fecha DESC, a.id DESC
+       LIMIT $${params.length}`,
+      params
+    ),
+    totalPromise,
+  ]);
+
+  const { items, next_cursor } = paginar(rows, limit, ORDEN_AUDITORIA);
+  res.json({
+    items,
+    meta: { limit, next_cursor, ...(totalResult && { total: totalResult.rows[0].total }) }
+  });
+}));
+
+/* ============ Error handler del router ============ */
+router.use((err, _req, res, _next) => {
+  console.error('Error auditoría:', err);
+  res.status(500).json({ mensaje: 'Error interno del servidor', error: err.message });
+});
+
+module.exports = { router, leerFila, registrarAuditoria, auditarCambio };
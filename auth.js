@@ -1,7 +1,22 @@
-// auth.js - Sistema de autenticación con DEBUG
+// auth.js - Sistema de autenticación
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const pool = require('./db');
+const { signAccessToken, requireAuth, optionalAuth } = require('./authMiddleware');
+const { ROLES, ROLES_REGISTRO, authorize } = require('./permisos');
+const { generateToken, hashToken } = require('./tokens');
+const { sendMail, frontendUrl } = require('./mailer');
+const { getRetryAfter, registerLoginFailure, clearLoginFailures } = require('./loginThrottle');
+const {
+  createSession,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+  listActiveSessions
+} = require('./sesiones');
+const { exportUserData, eraseUserData } = require('./privacidad');
 const router = express.Router();
 
 const sanitizeUsername = (v) => (v || '').trim().toLowerCase();
@@ -18,100 +33,113 @@ const isValidEmail = (e) =>
 const isValidPassword = (p) =>
   typeof p === 'string' && p.length >= 6 && p.length <= 255;
 
+const PASSWORD_RESET_TTL_MIN = Number(process.env.PASSWORD_RESET_TTL_MIN || 60);
+const EMAIL_VERIFICATION_TTL_H = Number(process.env.EMAIL_VERIFICATION_TTL_H || 48);
+
+/**
+ * Genera un token de verificación para `email` (invalida los anteriores).
+ * Recibe el client de la transacción en curso o el pool.
+ */
+const createVerificationToken = async (db, usuarioId, email) => {
+  const token = generateToken();
+  await db.query(
+    `UPDATE verificacion_email_tokens SET usado_en = NOW()
+     WHERE usuario_id = $1 AND usado_en IS NULL`,
+    [usuarioId]
+  );
+  await db.query(
+    `INSERT INTO verificacion_email_tokens (usuario_id, email, token_hash, expira_en)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+    [usuarioId, email, hashToken(token), EMAIL_VERIFICATION_TTL_H]
+  );
+  return token;
+};
+
+const sendVerificationEmail = (usuario, email, token) => {
+  const link = frontendUrl(`/verificar-email?token=${token}`);
+  return sendMail({
+    to: email,
+    subject: 'Confirma tu email',
+    text: `Hola ${usuario.username},\n\nConfirma tu dirección de email entrando a:\n${link}\n\n` +
+      `El enlace vence en ${EMAIL_VERIFICATION_TTL_H} horas.`,
+    tipo: 'verificacion_email'
+  });
+};
+
+// Hash contra el que se compara cuando el username no existe, para que la
+// respuesta tarde lo mismo que con una contraseña incorrecta
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(generateToken(), 10);
+
+// Respuesta genérica: no revela si el username existe ni si está bloqueado
+const tooManyAttempts = (res, retryAfter) =>
+  res.status(429).set('Retry-After', String(retryAfter)).json({
+    mensaje: 'Demasiados intentos. Intenta de nuevo más tarde',
+    codigo: 'DEMASIADOS_INTENTOS',
+    reintentar_en: retryAfter
+  });
+
 router.post('/login', async (req, res) => {
-  console.log('\n🔐 ===== INTENTO DE LOGIN =====');
-  console.log('📦 Body recibido:', req.body);
-  
   let { username, password } = req.body || {};
-  
-  console.log('📝 Username original:', username);
-  console.log('🔑 Password recibida (length):', password?.length);
 
   username = sanitizeUsername(username);
   password = sanitizePassword(password);
 
-  console.log('📝 Username sanitizado:', username);
-  console.log('🔑 Password sanitizada (length):', password?.length);
-
   if (!username || !password) {
-    console.log('❌ Faltan campos');
     return res.status(400).json({ mensaje: 'Usuario y contraseña son requeridos' });
   }
   
   if (!isValidUsername(username) || !isValidPassword(password)) {
-    console.log('❌ Formato inválido');
-    console.log('   Username válido?', isValidUsername(username));
-    console.log('   Password válido?', isValidPassword(password));
     return res.status(400).json({ mensaje: 'Credenciales con formato inválido' });
   }
 
   try {
-    console.log('🔍 Buscando usuario en BD:', username);
-    
+    const retryAfter = await getRetryAfter(username, req.ip);
+    if (retryAfter > 0) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
     const { rows } = await pool.query(
-      'SELECT id, username, password, rol, email, nombre_completo FROM usuarios WHERE username = $1',
+      'SELECT id, username, password, rol, email, nombre_completo, verificado, token_version FROM usuarios WHERE username = $1 AND activo',
       [username]
     );
 
-    console.log('📊 Resultados encontrados:', rows.length);
-
-    if (rows.length === 0) {
-      console.log('❌ Usuario no encontrado en BD');
-      return res.status(401).json({ mensaje: 'Usuario o contraseña inválidos' });
-    }
-
     const usuario = rows[0];
-    console.log('✅ Usuario encontrado:');
-    console.log('   ID:', usuario.id);
-    console.log('   Username:', usuario.username);
-    console.log('   Email:', usuario.email);
-    console.log('   Rol:', usuario.rol);
-    console.log('   Password hash length:', usuario.password?.length);
-    console.log('   Password hash (primeros 20):', usuario.password?.substring(0, 20));
-
-    console.log('🔐 Comparando contraseñas...');
-    console.log('   Password ingresada:', password);
-    console.log('   Hash en BD:', usuario.password?.substring(0, 30) + '...');
-    
-    const ok = await bcrypt.compare(password, usuario.password);
-    
-    console.log('🔐 Resultado de bcrypt.compare:', ok);
+    const hash = usuario ? usuario.password : DUMMY_PASSWORD_HASH;
+    const ok = (await bcrypt.compare(password, hash)) && Boolean(usuario);
 
     if (!ok) {
-      console.log('❌ Contraseña incorrecta');
-      
-      // TEST: Intentar con el hash directo
-      console.log('🧪 TEST: Verificando hash de "123456"...');
-      const testHash = '$2a$10$N9qo8uLOickgx2ZMRZoMyeIjZAgcfl7p92ldGxad68LJZdL17lhWy';
-      const testCompare = await bcrypt.compare('123456', testHash);
-      console.log('   bcrypt.compare("123456", testHash):', testCompare);
-      
+      await registerLoginFailure(username, req.ip);
+      console.log('❌ Login fallido');
       return res.status(401).json({ mensaje: 'Usuario o contraseña inválidos' });
     }
 
-    console.log('✅ Login exitoso!');
-
+    await clearLoginFailures(username);
     await pool.query(
       'UPDATE usuarios SET ultimo_login = NOW() WHERE id = $1',
       [usuario.id]
     );
 
-    console.log('💾 Último login actualizado');
-    console.log('📤 Enviando respuesta exitosa');
+    const { sesionId, refreshToken } = await createSession(pool, usuario.id, req);
+    const token = signAccessToken(usuario, sesionId);
+
+    console.log(`✅ Login exitoso: Usuario ${usuario.id}`);
 
     return res.status(200).json({
       mensaje: 'Login exitoso',
+      token,
+      token_type: 'Bearer',
+      refresh_token: refreshToken,
       usuario: {
         id: usuario.id,
         username: usuario.username,
         email: usuario.email,
         nombre_completo: usuario.nombre_completo,
-        rol: usuario.rol
+        rol: usuario.rol,
+        verificado: usuario.verificado
       }
     });
   } catch (error) {
-    console.error('❌ ERROR en /auth/login:', error);
-    console.error('   Stack:', error.stack);
+    console.error('❌ Error en /auth/login:', error);
     return res.status(500).json({ mensaje: 'Error al realizar el login' });
   }
 });
@@ -123,7 +151,7 @@ router.post('/register', async (req, res) => {
   password = sanitizePassword(password);
   email = sanitizeEmail(email);
   nombre_completo = (nombre_completo || '').trim();
-  rol = (rol || 'usuario').toLowerCase();
+  rol = (rol || ROLES.USUARIO).toLowerCase();
 
   if (!username || !password || !email || !nombre_completo) {
     return res.status(400).json({
@@ -149,7 +177,7 @@ router.post('/register', async (req, res) => {
     });
   }
 
-  if (!['usuario', 'vendedor'].includes(rol)) {
+  if (!ROLES_REGISTRO.includes(rol)) {
     return res.status(400).json({
       mensaje: 'Rol inválido. Debe ser "usuario" o "vendedor"'
     });
@@ -186,23 +214,33 @@ router.post('/register', async (req, res) => {
     const insert = await client.query(
       `INSERT INTO usuarios (username, password, email, nombre_completo, rol) 
        VALUES ($1, $2, $3, $4, $5) 
-       RETURNING id, username, email, nombre_completo, rol`,
+       RETURNING id, username, email, nombre_completo, rol, verificado`,
       [username, hashedPassword, email, nombre_completo, rol]
     );
+    const user = insert.rows[0];
+
+    const verificationToken = await createVerificationToken(client, user.id, user.email);
 
     await client.query('COMMIT');
 
-    const user = insert.rows[0];
     console.log(`✅ Usuario registrado: ${user.username} (${user.rol})`);
 
+    try {
+      await sendVerificationEmail(user, user.email, verificationToken);
+    } catch (mailError) {
+      // La cuenta ya existe; el usuario puede pedir el reenvío
+      console.error('⚠️ No se pudo enviar el email de verificación:', mailError.message);
+    }
+
     return res.status(201).json({
-      mensaje: 'Usuario registrado exitosamente',
+      mensaje: 'Usuario registrado exitosamente. Revisa tu email para verificar la cuenta',
       usuario: {
         id: user.id,
         username: user.username,
         email: user.email,
         nombre_completo: user.nombre_completo,
-        rol: user.rol
+        rol: user.rol,
+        verificado: user.verificado
       }
     });
   } catch (error) {
@@ -221,7 +259,684 @@ router.post('/register', async (req, res) => {
   }
 });
 
-router.get('/profile/:userId', async (req, res) => {
+/* ============ Sesiones y refresh tokens ============ */
+
+const invalidRefresh = (res, codigo, mensaje) => res.status(401).json({ mensaje, codigo });
+
+/**
+ * POST /auth/refresh
+ * Body: { refresh_token }
+ * Rota el refresh token y emite un nuevo token de acceso.
+ * Si se presenta un refresh token ya usado se revoca toda la sesión.
+ */
+router.post('/refresh', async (req, res) => {
+  const refreshToken = (req.body?.refresh_token || '').trim();
+  if (!refreshToken) {
+    return res.status(400).json({ mensaje: 'refresh_token es requerido' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const row = await findRefreshToken(client, refreshToken);
+    if (!row) {
+      await client.query('ROLLBACK');
+      return invalidRefresh(res, 'TOKEN_INVALIDO', 'Refresh token inválido');
+    }
+    if (row.revocada_en) {
+      await client.query('ROLLBACK');
+      return invalidRefresh(res, 'SESION_REVOCADA', 'La sesión fue cerrada, inicia sesión de nuevo');
+    }
+    if (row.usado_en) {
+      // Reutilización: alguien más pudo haber robado el token
+      await revokeSession(client, row.usuario_id, row.sesion_id, 'reutilizacion');
+      await client.query('COMMIT');
+      console.warn(`🚨 Refresh token reutilizado: sesión ${row.sesion_id} revocada`);
+      return invalidRefresh(res, 'TOKEN_REUTILIZADO', 'La sesión fue cerrada por seguridad, inicia sesión de nuevo');
+    }
+    if (!row.vigente) {
+      await client.query('ROLLBACK');
+      return invalidRefresh(res, 'TOKEN_EXPIRADO', 'El refresh token ha expirado');
+    }
+
+    const { rows } = await client.query(
+      'SELECT id, username, rol, token_version FROM usuarios WHERE id = $1 AND activo',
+      [row.usuario_id]
+    );
+    if (rows.length === 0) {
+      await revokeSession(client, row.usuario_id, row.sesion_id, 'cuenta_inactiva');
+      await client.query('COMMIT');
+      return invalidRefresh(res, 'SESION_REVOCADA', 'La sesión fue cerrada, inicia sesión de nuevo');
+    }
+
+    const nuevoRefresh = await rotateRefreshToken(client, row);
+
+    await client.query('COMMIT');
+
+    return res.json({
+      token: signAccessToken(rows[0], row.sesion_id),
+      token_type: 'Bearer',
+      refresh_token: nuevoRefresh
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error en /auth/refresh:', error);
+    return res.status(500).json({ mensaje: 'Error al renovar la sesión' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Body: { refresh_token? }
+ * Cierra la sesión del refresh token recibido o, si no llega, la del token de acceso.
+ * Con refresh_token no se valida el token de acceso: uno expirado no impide salir.
+ */
+const authSinRefresh = (req, res, next) =>
+  ((req.body?.refresh_token || '').trim() ? next() : optionalAuth(req, res, next));
+
+router.post('/logout', authSinRefresh, async (req, res) => {
+  const refreshToken = (req.body?.refresh_token || '').trim();
+
+  try {
+    let usuarioId = req.user?.id;
+    let sesionId = req.user?.sesionId;
+
+    if (refreshToken) {
+      const row = await findRefreshToken(pool, refreshToken);
+      if (!row) {
+        return invalidRefresh(res, 'TOKEN_INVALIDO', 'Refresh token inválido');
+      }
+      if (row.revocada_en) {
+        return invalidRefresh(res, 'SESION_REVOCADA', 'La sesión ya estaba cerrada');
+      }
+      if (!row.vigente) {
+        return invalidRefresh(res, 'TOKEN_EXPIRADO', 'El refresh token ha expirado');
+      }
+      usuarioId = row.usuario_id;
+      sesionId = row.sesion_id;
+    }
+
+    if (!usuarioId || !sesionId) {
+      return res.status(400).json({ mensaje: 'Se requiere refresh_token o un token de acceso' });
+    }
+
+    await revokeSession(pool, usuarioId, sesionId, 'logout');
+    return res.json({ mensaje: 'Sesión cerrada' });
+  } catch (error) {
+    console.error('❌ Error en /auth/logout:', error);
+    return res.status(500).json({ mensaje: 'Error al cerrar la sesión' });
+  }
+});
+
+/**
+ * POST /auth/logout-all
+ * Cierra todas las sesiones del usuario e invalida sus tokens de acceso.
+ */
+router.post('/logout-all', requireAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cerradas = await revokeAllSessions(client, req.user.id, 'logout_all');
+    await client.query(
+      'UPDATE usuarios SET token_version = token_version + 1 WHERE id = $1',
+      [req.user.id]
+    );
+    await client.query('COMMIT');
+
+    console.log(`✅ Logout global: Usuario ${req.user.id} (${cerradas} sesiones)`);
+    return res.json({ mensaje: 'Se cerraron todas las sesiones', sesiones_cerradas: cerradas });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error en /auth/logout-all:', error);
+    return res.status(500).json({ mensaje: 'Error al cerrar las sesiones' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /auth/sessions
+ * Sesiones activas del usuario (dispositivo, IP y último uso).
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sesiones = await listActiveSessions(pool, req.user.id);
+    res.json({
+      sesiones: sesiones.map((s) => ({ ...s, actual: s.id === req.user.sesionId }))
+    });
+  } catch (error) {
+    console.error('❌ Error en /auth/sessions:', error);
+    res.status(500).json({ mensaje: 'Error al obtener las sesiones' });
+  }
+});
+
+/**
+ * DELETE /auth/sessions/:id
+ * Revoca una sesión propia.
+ */
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  const sesionId = parseInt(req.params.id);
+  if (!sesionId || isNaN(sesionId)) {
+    return res.status(400).json({ mensaje: 'ID de sesión inválido' });
+  }
+
+  try {
+    const ok = await revokeSession(pool, req.user.id, sesionId, 'revocada_por_usuario');
+    if (!ok) return res.status(404).json({ mensaje: 'Sesión no encontrada' });
+    res.status(204).send();
+  } catch (error) {
+    console.error('❌ Error en /auth/sessions DELETE:', error);
+    res.status(500).json({ mensaje: 'Error al revocar la sesión' });
+  }
+});
+
+/* ============ Verificación de email ============ */
+
+/**
+ * GET /auth/verify/:token
+ * Marca la cuenta como verificada con el email asociado al token.
+ */
+router.get('/verify/:token', async (req, res) => {
+  const token = (req.params.token || '').trim();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT id, usuario_id, email FROM verificacion_email_tokens
+       WHERE token_hash = $1 AND usado_en IS NULL AND expira_en > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        mensaje: 'El enlace no es válido o ya expiró',
+        codigo: 'TOKEN_INVALIDO'
+      });
+    }
+
+    const { id: tokenId, usuario_id: usuarioId, email } = rows[0];
+
+    await client.query(
+      'UPDATE verificacion_email_tokens SET usado_en = NOW() WHERE id = $1',
+      [tokenId]
+    );
+    const result = await client.query(
+      `UPDATE usuarios
+       SET verificado = TRUE, fecha_verificacion = NOW(), email = $1
+       WHERE id = $2
+       RETURNING id, username, email, verificado`,
+      [email, usuarioId]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Email verificado: Usuario ${usuarioId}`);
+    return res.json({ mensaje: 'Email verificado exitosamente', usuario: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error && error.code === '23505') {
+      return res.status(409).json({
+        mensaje: 'El email ya está registrado por otro usuario'
+      });
+    }
+    console.error('❌ Error en /auth/verify:', error);
+    return res.status(500).json({ mensaje: 'Error al verificar el email' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /auth/verify/resend
+ * Body: { email }
+ * Respuesta genérica para no revelar si el email existe.
+ */
+router.post('/verify/resend', async (req, res) => {
+  const email = sanitizeEmail(req.body?.email);
+  const respuesta = {
+    mensaje: 'Si la cuenta existe y no está verificada, te enviamos un nuevo enlace'
+  };
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({ mensaje: 'El email no tiene un formato válido' });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, username, email FROM usuarios WHERE email = $1 AND verificado = FALSE AND activo',
+      [email]
+    );
+    if (rows.length === 0) return res.json(respuesta);
+
+    const usuario = rows[0];
+    const token = await createVerificationToken(pool, usuario.id, usuario.email);
+    await sendVerificationEmail(usuario, usuario.email, token);
+
+    return res.json(respuesta);
+  } catch (error) {
+    console.error('❌ Error en /auth/verify/resend:', error);
+    return res.status(500).json({ mensaje: 'Error al reenviar la verificación' });
+  }
+});
+
+/* ============ Recuperación de contraseña ============ */
+
+/**
+ * POST /auth/password/forgot
+ * Body: { email }
+ * Siempre responde lo mismo para no revelar si el email existe.
+ */
+router.post('/password/forgot', async (req, res) => {
+  const email = sanitizeEmail(req.body?.email);
+  const respuesta = {
+    mensaje: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+  };
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({ mensaje: 'El email no tiene un formato válido' });
+  }
+
+  const client = await pool.connect();
+  let usuario;
+  let token;
+  try {
+    await client.query('BEGIN');
+
+    // FOR UPDATE: dos pedidos simultáneos no dejan dos enlaces vigentes
+    const { rows } = await client.query(
+      'SELECT id, username, email FROM usuarios WHERE email = $1 AND activo FOR UPDATE',
+      [email]
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.json(respuesta);
+    }
+
+    usuario = rows[0];
+    token = generateToken();
+
+    // Solo el último enlace solicitado queda vigente
+    await client.query(
+      `UPDATE password_reset_tokens SET usado_en = NOW()
+       WHERE usuario_id = $1 AND usado_en IS NULL`,
+      [usuario.id]
+    );
+    await client.query(
+      `INSERT INTO password_reset_tokens (usuario_id, token_hash, expira_en, ip_solicitud)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+      [usuario.id, hashToken(token), PASSWORD_RESET_TTL_MIN, req.ip]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error en /auth/password/forgot:', error);
+    return res.status(500).json({ mensaje: 'Error al solicitar el restablecimiento' });
+  } finally {
+    client.release();
+  }
+
+  // Un fallo del envío no cambia la respuesta: revelaría que el email está registrado
+  try {
+    const link = frontendUrl(`/reset-password?token=${token}`);
+    await sendMail({
+      to: usuario.email,
+      subject: 'Restablece tu contraseña',
+      text: `Hola ${usuario.username},\n\nPara restablecer tu contraseña entra a:\n${link}\n\n` +
+        `El enlace vence en ${PASSWORD_RESET_TTL_MIN} minutos y solo puede usarse una vez.`,
+      tipo: 'password_reset'
+    });
+    console.log(`🔑 Reset de contraseña solicitado: Usuario ${usuario.id}`);
+  } catch (error) {
+    console.error(`❌ No se pudo enviar el reset de contraseña al usuario ${usuario.id}:`, error);
+  }
+
+  return res.json(respuesta);
+});
+
+/**
+ * POST /auth/password/reset
+ * Body: { token, password }
+ * Consume el token, cambia la contraseña e invalida las sesiones existentes.
+ */
+router.post('/password/reset', async (req, res) => {
+  const token = (req.body?.token || '').trim();
+  const password = sanitizePassword(req.body?.password);
+
+  if (!token) {
+    return res.status(400).json({ mensaje: 'El token es requerido' });
+  }
+  if (!isValidPassword(password)) {
+    return res.status(400).json({
+      mensaje: 'La contraseña debe tener al menos 6 caracteres'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT id, usuario_id FROM password_reset_tokens
+       WHERE token_hash = $1 AND usado_en IS NULL AND expira_en > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        mensaje: 'El enlace no es válido o ya expiró',
+        codigo: 'TOKEN_INVALIDO'
+      });
+    }
+
+    const { id: tokenId, usuario_id: usuarioId } = rows[0];
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await client.query(
+      'UPDATE password_reset_tokens SET usado_en = NOW() WHERE id = $1',
+      [tokenId]
+    );
+    await client.query(
+      `UPDATE usuarios
+       SET password = $1, token_version = token_version + 1
+       WHERE id = $2`,
+      [hashedPassword, usuarioId]
+    );
+    await revokeAllSessions(client, usuarioId, 'password_reset');
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Contraseña restablecida: Usuario ${usuarioId}`);
+    return res.json({ mensaje: 'Contraseña actualizada. Inicia sesión de nuevo' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error en /auth/password/reset:', error);
+    return res.status(500).json({ mensaje: 'Error al restablecer la contraseña' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ============ Cuenta propia (/auth/me) ============ */
+
+const PERFIL_COLUMNAS = `id, username, email, nombre_completo, rol, verificado,
+  fecha_registro, ultimo_login`;
+
+// Confirma la contraseña actual del usuario autenticado
+const checkCurrentPassword = async (db, userId, password) => {
+  const { rows } = await db.query('SELECT password FROM usuarios WHERE id = $1', [userId]);
+  return rows.length > 0 && bcrypt.compare(password, rows[0].password);
+};
+
+/**
+ * GET /auth/me
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${PERFIL_COLUMNAS} FROM usuarios WHERE id = $1`,
+      [req.user.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ mensaje: 'Usuario no encontrado' });
+    }
+    res.json(rows[0]);
+  } catch (error) {
+    console.error('❌ Error en /auth/me:', error);
+    res.status(500).json({ mensaje: 'Error al obtener perfil' });
+  }
+});
+
+/**
+ * PUT /auth/me
+ * Body: { nombre_completo }
+ * El email se cambia por PUT /auth/me/email (requiere verificación).
+ */
+router.put('/me', requireAuth, async (req, res) => {
+  const nombre_completo = (req.body?.nombre_completo || '').trim();
+
+  if (!nombre_completo || nombre_completo.length > 255) {
+    return res.status(400).json({ mensaje: 'Nombre completo es requerido' });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE usuarios SET nombre_completo = $1
+       WHERE id = $2
+       RETURNING ${PERFIL_COLUMNAS}`,
+      [nombre_completo, req.user.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ mensaje: 'Usuario no encontrado' });
+    }
+    res.json({ mensaje: 'Perfil actualizado exitosamente', usuario: rows[0] });
+  } catch (error) {
+    console.error('❌ Error en /auth/me PUT:', error);
+    res.status(500).json({ mensaje: 'Error al actualizar perfil' });
+  }
+});
+
+/**
+ * PUT /auth/me/password
+ * Body: { password_actual, password_nueva }
+ * Cierra las demás sesiones y devuelve un token nuevo para la actual.
+ */
+router.put('/me/password', requireAuth, async (req, res) => {
+  const passwordActual = sanitizePassword(req.body?.password_actual);
+  const passwordNueva = sanitizePassword(req.body?.password_nueva);
+
+  if (!passwordActual || !passwordNueva) {
+    return res.status(400).json({ mensaje: 'La contraseña actual y la nueva son requeridas' });
+  }
+  if (!isValidPassword(passwordNueva)) {
+    return res.status(400).json({
+      mensaje: 'La contraseña debe tener al menos 6 caracteres'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (!(await checkCurrentPassword(client, req.user.id, passwordActual))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        mensaje: 'La contraseña actual es incorrecta',
+        codigo: 'PASSWORD_INCORRECTA'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(passwordNueva, 10);
+    const { rows } = await client.query(
+      `UPDATE usuarios
+       SET password = $1, token_version = token_version + 1
+       WHERE id = $2
+       RETURNING id, username, rol, token_version`,
+      [hashedPassword, req.user.id]
+    );
+    await revokeOtherSessions(client, req.user.id, req.user.sesionId, 'cambio_password');
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Contraseña cambiada: Usuario ${req.user.id}`);
+    res.json({
+      mensaje: 'Contraseña actualizada',
+      token: signAccessToken(rows[0], req.user.sesionId),
+      token_type: 'Bearer'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error en /auth/me/password:', error);
+    res.status(500).json({ mensaje: 'Error al cambiar la contraseña' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /auth/me/email
+ * Body: { email, password }
+ * El email nuevo se aplica cuando el usuario confirma el enlace enviado.
+ */
+router.put('/me/email', requireAuth, async (req, res) => {
+  const email = sanitizeEmail(req.body?.email);
+  const password = sanitizePassword(req.body?.password);
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({ mensaje: 'El email no tiene un formato válido' });
+  }
+  if (!password) {
+    return res.status(400).json({ mensaje: 'La contraseña es requerida' });
+  }
+
+  try {
+    if (!(await checkCurrentPassword(pool, req.user.id, password))) {
+      return res.status(400).json({
+        mensaje: 'La contraseña actual es incorrecta',
+        codigo: 'PASSWORD_INCORRECTA'
+      });
+    }
+
+    const emailExists = await pool.query(
+      'SELECT 1 FROM usuarios WHERE email = $1 AND id <> $2',
+      [email, req.user.id]
+    );
+    if (emailExists.rows.length > 0) {
+      return res.status(400).json({ mensaje: 'El email ya está registrado por otro usuario' });
+    }
+
+    const token = await createVerificationToken(pool, req.user.id, email);
+    await sendVerificationEmail(req.user, email, token);
+
+    res.json({
+      mensaje: 'Te enviamos un enlace al nuevo email. El cambio se aplicará al confirmarlo'
+    });
+  } catch (error) {
+    console.error('❌ Error en /auth/me/email:', error);
+    res.status(500).json({ mensaje: 'Error al solicitar el cambio de email' });
+  }
+});
+
+/**
+ * DELETE /auth/me
+ * Body: { password }
+ * Desactiva la cuenta y cierra todas sus sesiones.
+ */
+router.delete('/me', requireAuth, async (req, res) => {
+  const password = sanitizePassword(req.body?.password);
+  if (!password) {
+    return res.status(400).json({ mensaje: 'La contraseña es requerida' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (!(await checkCurrentPassword(client, req.user.id, password))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        mensaje: 'La contraseña actual es incorrecta',
+        codigo: 'PASSWORD_INCORRECTA'
+      });
+    }
+
+    await client.query(
+      `UPDATE usuarios
+       SET activo = FALSE, fecha_baja = NOW(), token_version = token_version + 1
+       WHERE id = $1`,
+      [req.user.id]
+    );
+    await revokeAllSessions(client, req.user.id, 'baja');
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Cuenta desactivada: Usuario ${req.user.id}`);
+    res.json({ mensaje: 'Cuenta desactivada' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error en /auth/me DELETE:', error);
+    res.status(500).json({ mensaje: 'Error al desactivar la cuenta' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /auth/me/export
+ * Descarga en JSON todos los datos asociados al id o al email del usuario.
+ */
+router.get('/me/export', requireAuth, async (req, res) => {
+  try {
+    const data = await exportUserData(pool, req.user.id);
+    if (!data) {
+      return res.status(404).json({ mensaje: 'Usuario no encontrado' });
+    }
+
+    console.log(`📦 Exportación de datos: Usuario ${req.user.id}`);
+    res
+      .set('Content-Disposition', `attachment; filename="mis-datos-${req.user.id}.json"`)
+      .json(data);
+  } catch (error) {
+    console.error('❌ Error en /auth/me/export:', error);
+    res.status(500).json({ mensaje: 'Error al exportar los datos' });
+  }
+});
+
+/**
+ * POST /auth/me/erase
+ * Body: { password }
+ * Anonimiza pedidos, carritos y pagos (se conservan los montos) y elimina la cuenta.
+ */
+router.post('/me/erase', requireAuth, async (req, res) => {
+  const password = sanitizePassword(req.body?.password);
+  if (!password) {
+    return res.status(400).json({ mensaje: 'La contraseña es requerida' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      'SELECT id, username, email, password FROM usuarios WHERE id = $1 FOR UPDATE',
+      [req.user.id]
+    );
+    const usuario = rows[0];
+    if (!usuario || !(await bcrypt.compare(password, usuario.password))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        mensaje: 'La contraseña actual es incorrecta',
+        codigo: 'PASSWORD_INCORRECTA'
+      });
+    }
+
+    const anonimizados = await eraseUserData(client, usuario);
+
+    await client.query('COMMIT');
+
+    console.log(`🗑️ Datos borrados: Usuario ${usuario.id}`);
+    res.json({ mensaje: 'Tu cuenta y tus datos personales fueron eliminados', anonimizados });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error en /auth/me/erase:', error);
+    res.status(500).json({ mensaje: 'Error al eliminar los datos' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ============ Perfil de cualquier usuario (solo admin) ============ */
+
+router.get('/profile/:userId', authorize('GET /auth/profile/:userId'), async (req, res) => {
   const userId = parseInt(req.params.userId);
 
   if (!userId || isNaN(userId)) {
@@ -230,7 +945,8 @@ router.get('/profile/:userId', async (req, res) => {
 
   try {
     const { rows } = await pool.query(
-      `SELECT id, username, email, nombre_completo, rol, fecha_registro, ultimo_login
+      `SELECT id, username, email, nombre_completo, rol, verificado, activo,
+              fecha_registro, ultimo_login
        FROM usuarios WHERE id = $1`,
       [userId]
     );
@@ -246,7 +962,7 @@ router.get('/profile/:userId', async (req, res) => {
   }
 });
 
-router.put('/profile/:userId', async (req, res) => {
+router.put('/profile/:userId', authorize('PUT /auth/profile/:userId'), async (req, res) => {
   const userId = parseInt(req.params.userId);
   let { nombre_completo, email } = req.body || {};
 
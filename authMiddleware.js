@@ -0,0 +1,118 @@
+// authMiddleware.js - Tokens de acceso (JWT) y middlewares de autenticación
+'use strict';
+
+const jwt = require('jsonwebtoken');
+const pool = require('./db');
+require('dotenv-flow').config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+if (!JWT_SECRET) {
+  console.error('⚠️ JWT_SECRET no está configurada: no se podrán emitir ni validar tokens');
+}
+
+/**
+ * Firma un token de acceso para el usuario dentro de una sesión.
+ * Payload: { sub: id, username, rol, tv: token_version, sid: sesión }
+ */
+const signAccessToken = (usuario, sesionId) => {
+  if (!JWT_SECRET) throw new Error('Falta JWT_SECRET en variables de entorno');
+  return jwt.sign(
+    { username: usuario.username, rol: usuario.rol, tv: usuario.token_version || 0, sid: sesionId },
+    JWT_SECRET,
+    { subject: String(usuario.id), expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * Verifica el token y devuelve { id, username, rol, tokenVersion, sesionId }.
+ * Lanza el error de jsonwebtoken si es inválido o expiró.
+ */
+const verifyAccessToken = (token) => {
+  if (!JWT_SECRET) throw new Error('Falta JWT_SECRET en variables de entorno');
+  const payload = jwt.verify(token, JWT_SECRET);
+  return {
+    id: Number(payload.sub),
+    username: payload.username,
+    rol: payload.rol,
+    tokenVersion: payload.tv || 0,
+    sesionId: payload.sid || null,
+  };
+};
+
+// Un cambio de contraseña incrementa token_version y deja sin efecto los tokens previos;
+// un logout revoca la sesión a la que pertenece el token; una cuenta dada de baja no entra
+const isTokenCurrent = async (user) => {
+  const { rows } = await pool.query(
+    `SELECT u.token_version, s.id AS sesion_id, s.revocada_en
+     FROM usuarios u
+     LEFT JOIN sesiones s ON s.id = $2 AND s.usuario_id = u.id
+     WHERE u.id = $1 AND u.activo`,
+    [user.id, user.sesionId]
+  );
+  if (rows.length === 0 || rows[0].token_version !== user.tokenVersion) return false;
+  return !user.sesionId || (rows[0].sesion_id !== null && rows[0].revocada_en === null);
+};
+
+// Extrae el token de "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+// Respuesta 401 consistente para todas las rutas protegidas
+const unauthorized = (res, codigo, mensaje) =>
+  res.status(401).set('WWW-Authenticate', 'Bearer').json({ mensaje, codigo });
+
+const authenticate = async (req, res, next, { required }) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    if (!required) return next();
+    return unauthorized(res, 'TOKEN_REQUERIDO', 'Se requiere autenticación');
+  }
+
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return unauthorized(res, 'TOKEN_EXPIRADO', 'El token ha expirado');
+    }
+    if (err.name === 'JsonWebTokenError' || err.name === 'NotBeforeError') {
+      return unauthorized(res, 'TOKEN_INVALIDO', 'Token inválido');
+    }
+    return next(err);
+  }
+
+  try {
+    if (!(await isTokenCurrent(user))) {
+      return unauthorized(res, 'SESION_REVOCADA', 'La sesión ya no es válida, inicia sesión de nuevo');
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = user;
+  return next();
+};
+
+/**
+ * Exige un token válido y deja el usuario en req.user.
+ */
+const requireAuth = (req, res, next) => authenticate(req, res, next, { required: true });
+
+/**
+ * Si llega un token lo valida y carga req.user; sin token deja pasar.
+ * Un token inválido o expirado sigue respondiendo 401.
+ */
+const optionalAuth = (req, res, next) => authenticate(req, res, next, { required: false });
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  requireAuth,
+  optionalAuth,
+};
@@ -1,6 +1,9 @@
 // carrito.js - Router para gestión del carrito de compras
 const express = require('express');
 const pool = require('./db');
+const {
+  comidaVigenteSql, getDisponibleParaCarrito, renovarReservas, stockInsuficiente, comidaVencida
+} = require('./stock');
 const { v4: uuidv4 } = require('uuid'); // Instalar: npm install uuid
 const router = express.Router();
 
@@ -57,20 +60,34 @@ router.get('/carrito', async (req, res) => {
     }
     
     // Obtener items del carrito con info de comidas
+    // (precio con la rebaja vigente: es el que se cobrará en el checkout)
     const { rows: items } = await pool.query(
       `SELECT 
         ci.id,
         ci.comida_id,
         ci.cantidad,
-        ci.precio_unitario,
+        pv.precio AS precio_unitario,
+        pv.precio_original,
+        pv.descuento_porcentaje,
         ci.notas,
         ci.fecha_agregado,
+        ci.reservado_hasta,
         c.nombre,
         c.categoria,
         c.imagen,
-        (ci.cantidad * ci.precio_unitario) as subtotal
+        c.cantidad_disponible,
+        c.retiro_desde,
+        c.retiro_hasta,
+        c.consumir_antes,
+        NOT ${comidaVigenteSql('c')} AS vencida,
+        (ci.cantidad * pv.precio) as subtotal
        FROM carrito_items ci
        JOIN comidas c ON c.id = ci.comida_id
+       CROSS JOIN LATERAL (
+         SELECT precio_vigente(c.precio, c.id, c.retiro_hasta) AS precio,
+                c.precio AS precio_original,
+                descuento_vigente(c.id, c.retiro_hasta) AS descuento_porcentaje
+       ) pv
        WHERE ci.carrito_id = $1
        ORDER BY ci.fecha_agregado DESC`,
       [carrito.id]
@@ -89,7 +106,8 @@ router.get('/carrito', async (req, res) => {
         telefono_cliente: carrito.telefono_cliente,
         direccion: carrito.direccion,
         estado: carrito.estado,
-        fecha_creacion: carrito.fecha_creacion
+        fecha_creacion: carrito.fecha_creacion,
+        fecha_expiracion: carrito.fecha_expiracion
       },
       items,
       resumen: {
@@ -154,17 +172,23 @@ router.post('/carrito/items', async (req, res) => {
       carritoId = carritoResult.rows[0].id;
     }
     
-    // Verificar que la comida existe y obtener precio
-    const comidaResult = await client.query(
-      'SELECT id, nombre, precio FROM comidas WHERE id = $1',
-      [comida_id]
-    );
+    // Verificar que la comida existe y cuánto queda para reservar (bloquea la comida)
+    const stock = await getDisponibleParaCarrito(client, comida_id, carritoId);
     
-    if (comidaResult.rows.length === 0) {
+    if (!stock.existe) {
       await client.query('ROLLBACK');
       return res.status(404).json({ mensaje: 'Comida no encontrada' });
     }
     
+    if (stock.vencida) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(comidaVencida({ comida_id, ...stock }));
+    }
+    
+    const comidaResult = await client.query(
+      'SELECT id, nombre, precio_vigente(precio, id, retiro_hasta) AS precio FROM comidas WHERE id = $1',
+      [comida_id]
+    );
     const comida = comidaResult.rows[0];
     const precioUnitario = parseFloat(comida.precio);
     
@@ -174,11 +198,23 @@ router.post('/carrito/items', async (req, res) => {
       [carritoId, comida_id]
     );
     
+    const nuevaCantidad = (itemExistente.rows.length > 0 ? parseInt(itemExistente.rows[0].cantidad) : 0) +
+      parseInt(cantidad);
+    
+    if (nuevaCantidad > stock.disponible) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(stockInsuficiente({
+        comida_id: comida.id,
+        nombre: comida.nombre,
+        solicitado: nuevaCantidad,
+        disponible: stock.disponible
+      }));
+    }
+    
     let result;
     
     if (itemExistente.rows.length > 0) {
       // Actualizar cantidad
-      const nuevaCantidad = parseInt(itemExistente.rows[0].cantidad) + parseInt(cantidad);
       result = await client.query(
         `UPDATE carrito_items 
          SET cantidad = $1, notas = COALESCE($2, notas)
@@ -196,6 +232,9 @@ router.post('/carrito/items', async (req, res) => {
       );
     }
     
+    // El stock queda reservado unos minutos desde ahora
+    const [reserva] = await renovarReservas(client, carritoId, comida_id);
+
     // Actualizar timestamp del carrito
     await client.query(
       'UPDATE carritos SET fecha_actualizacion = NOW() WHERE id = $1',
@@ -209,6 +248,7 @@ router.post('/carrito/items', async (req, res) => {
       mensaje: 'Item agregado al carrito',
       item: {
         ...item,
+        reservado_hasta: reserva.reservado_hasta,
         nombre_comida: comida.nombre,
         subtotal: parseFloat(item.precio_unitario) * parseInt(item.cantidad)
       },
@@ -243,40 +283,72 @@ router.put('/carrito/items/:itemId', async (req, res) => {
     return res.status(400).json({ mensaje: 'Cantidad debe ser mayor a 0' });
   }
   
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+    
     const sessionId = getOrCreateSessionId(req);
     
     // Verificar que el item pertenece al carrito del usuario
-    const result = await pool.query(
-      `UPDATE carrito_items ci
-       SET cantidad = $1
-       FROM carritos c
-       WHERE ci.id = $2 
-         AND ci.carrito_id = c.id 
-         AND c.session_id = $3 
-         AND c.estado = 'activo'
-       RETURNING ci.*`,
-      [cantidad, itemId, sessionId]
+    const itemResult = await client.query(
+      `SELECT ci.id, ci.carrito_id, ci.comida_id
+       FROM carrito_items ci
+       JOIN carritos c ON c.id = ci.carrito_id
+       WHERE ci.id = $1 
+         AND c.session_id = $2 
+         AND c.estado = 'activo'`,
+      [itemId, sessionId]
     );
     
-    if (result.rows.length === 0) {
+    if (itemResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ mensaje: 'Item no encontrado en el carrito' });
     }
     
+    const { carrito_id: carritoId, comida_id: comidaId } = itemResult.rows[0];
+    const stock = await getDisponibleParaCarrito(client, comidaId, carritoId);
+    
+    if (stock.vencida) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(comidaVencida({ comida_id: comidaId, ...stock }));
+    }
+    
+    if (parseInt(cantidad) > stock.disponible) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(stockInsuficiente({
+        comida_id: comidaId,
+        nombre: stock.nombre,
+        solicitado: parseInt(cantidad),
+        disponible: stock.disponible
+      }));
+    }
+    
+    const result = await client.query(
+      'UPDATE carrito_items SET cantidad = $1 WHERE id = $2 RETURNING *',
+      [cantidad, itemId]
+    );
+    const [reserva] = await renovarReservas(client, carritoId, comidaId);
+    
+    await client.query('COMMIT');
+    
     const item = result.rows[0];
     res.json({
       mensaje: 'Cantidad actualizada',
       item: {
         ...item,
+        reservado_hasta: reserva.reservado_hasta,
         subtotal: parseFloat(item.precio_unitario) * parseInt(item.cantidad)
       }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('PUT /carrito/items/:itemId error:', error);
     res.status(500).json({ 
       mensaje: 'Error al actualizar item', 
       error: error.message 
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -1,6 +1,11 @@
 'use strict';
 const express = require('express');
 const pool = require('./db'); // pg Pool
+const { optionalAuth } = require('./authMiddleware');
+const { ROLES, hasRole, authorize } = require('./permisos');
+const { parseCursor, cursorWhere, paginar, quiereTotal } = require('./paginacion');
+const { comidaVigenteSql } = require('./stock');
+const { leerFila, registrarAuditoria, auditarCambio } = require('./auditoria');
 const router = express.Router();
 
 /* ============ Utils ============ */
@@ -11,35 +16,144 @@ const toIntNonNeg = (v) => {
 };
 const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 const badRequest = (res, msg) => res.status(400).json({ mensaje: msg });
+const toNumberOrNull = (v) => (v === null || v === undefined ? null : Number(v));
+const isTrue = (v) => ['1', 'true', 'si', 'sí'].includes(norm(v).toLowerCase());
 
 const MAX_LIMIT = 200;
 const DEFAULT_LIMIT = 50;
-const DEFAULT_OFFSET = 0;
+const MAX_ICONO = 500;
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
 
-const parseSort = (orderByRaw, orderRaw, whitelist = { id: 'id', nombre: 'nombre' }) => {
+const COLUMNAS = 'id, nombre, slug, parent_id, orden, icono, archivado_en';
+
+// Comidas activas de la categoría y de todas sus subcategorías
+const TOTAL_COMIDAS = `(SELECT COUNT(*)::int FROM comidas c
+   WHERE c.categoria_id IN (SELECT categoria_descendientes(categoria.id))
+     AND c.archivado_en IS NULL) AS total_comidas`;
+
+const parseSort = (orderByRaw, orderRaw, whitelist = { id: 'id', nombre: 'nombre', orden: 'orden' }) => {
   const key = whitelist[norm(orderByRaw).toLowerCase()] || 'id';
   const dir = norm(orderRaw).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
   return { key, dir };
 };
 
+/**
+ * Valida el body de POST/PUT (parcial = false) o PATCH (parcial = true).
+ * Devuelve { value: { nombre?, slug?, parent_id?, orden?, icono? } } con solo
+ * los campos enviados (en PATCH), o { error }. slug null = se genera del nombre.
+ */
+const parseCategoriaBody = (body, { parcial = false } = {}) => {
+  const b = body || {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(b, k);
+  const vacio = (v) => v === undefined || v === null || v === '';
+  const value = {};
+
+  if (!parcial || has('nombre')) {
+    const nombre = norm(b.nombre);
+    if (!nombre || nombre.length > 120) {
+      return { error: 'El nombre es requerido y debe tener ≤ 120 caracteres' };
+    }
+    value.nombre = nombre;
+  }
+  if (!parcial || has('slug')) {
+    const slug = norm(b.slug).toLowerCase();
+    if (slug && (slug.length > 140 || !SLUG_RE.test(slug))) {
+      return { error: 'El slug solo admite minúsculas, números y guiones (≤ 140 caracteres)' };
+    }
+    value.slug = slug || null;
+  }
+  if (!parcial || has('parent_id')) {
+    const parentId = vacio(b.parent_id) ? null : toIntNonNeg(b.parent_id);
+    if (!vacio(b.parent_id) && parentId === null) return { error: 'parent_id inválido' };
+    value.parent_id = parentId;
+  }
+  if (!parcial || has('orden')) {
+    const orden = vacio(b.orden) ? 0 : Number(b.orden);
+    if (!Number.isInteger(orden)) return { error: 'orden debe ser un número entero' };
+    value.orden = orden;
+  }
+  if (!parcial || has('icono')) {
+    const icono = norm(b.icono);
+    if (icono.length > MAX_ICONO) return { error: `El ícono debe tener ≤ ${MAX_ICONO} caracteres` };
+    value.icono = icono || null;
+  }
+  return { value };
+};
+
+/**
+ * El padre debe existir (sin archivar) y no puede ser la propia categoría ni una descendiente
+ * (se formaría un ciclo). `id` es undefined al crear. Devuelve el mensaje de error o null.
+ */
+const validarPadre = async (id, parentId) => {
+  if (parentId === null || parentId === undefined) return null;
+  const { rows } = await pool.query(
+    `SELECT EXISTS (SELECT 1 FROM categoria WHERE id = $1 AND archivado_en IS NULL) AS existe,
+            $1 IN (SELECT categoria_descendientes($2)) AS ciclo`,
+    [parentId, id ?? null]
+  );
+  if (!rows[0].existe) return 'La categoría padre no existe';
+  if (rows[0].ciclo) return 'La categoría padre no puede ser la misma categoría ni una subcategoría suya';
+  return null;
+};
+
+// :id acepta el id numérico o el slug; las archivadas no se publican
+const findCategoria = async (ref) => {
+  const id = toIntNonNeg(ref);
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNAS} FROM categoria
+     WHERE ${id !== null ? 'id' : 'slug'} = $1 AND archivado_en IS NULL`,
+    [id ?? norm(ref).toLowerCase()]
+  );
+  return rows[0] || null;
+};
+
+// 23505 = unique_violation (nombre o slug repetido)
+const mensajeDuplicado = (err) =>
+  err.constraint === 'ux_categoria_slug'
+    ? 'Ya existe una categoría con ese slug'
+    : 'Ya existe una categoría con ese nombre';
+
+// Arma el árbol a partir de la lista plana (ya ordenada); total_comidas suma la rama
+const armarArbol = (rows) => {
+  const nodos = new Map(rows.map(({ comidas_directas, ...r }) => [
+    r.id, { ...r, total_comidas: comidas_directas, hijos: [] }
+  ]));
+  const raices = [];
+  for (const nodo of nodos.values()) {
+    const padre = nodos.get(nodo.parent_id);
+    (padre ? padre.hijos : raices).push(nodo);
+  }
+  const sumar = (nodo) => {
+    nodo.total_comidas += nodo.hijos.reduce((acc, h) => acc + sumar(h), 0);
+    return nodo.total_comidas;
+  };
+  raices.forEach(sumar);
+  return raices;
+};
+
 /* ============ GET /categorias (listado con filtros) ============ */
 /**
  * Query params:
  *  - q: texto (busca por nombre, case-insensitive)
- *  - limit, offset
- *  - orderBy: id|nombre   order: asc|desc
- * Respuesta: { items: [...], meta: { total, limit, offset, orderBy, order } }
+ *  - parent_id: id de la categoría padre, o "raiz" para las de primer nivel
+ *  - limit, cursor (meta.next_cursor de la página anterior)
+ *  - orderBy: id|nombre|orden   order: asc|desc
+ *  - con_total=true (agrega meta.total)
+ *  - archivadas=true (solo admin; lista las archivadas en lugar de las activas)
+ * Cada item trae total_comidas (comidas de la categoría y sus subcategorías, incluidas las vencidas).
+ * Respuesta: { items: [...], meta: { limit, orderBy, order, next_cursor, total? } }
  */
-router.get('/categorias', asyncHandler(async (req, res) => {
+router.get('/categorias', optionalAuth, asyncHandler(async (req, res) => {
   const q = norm(req.query.q);
-  let limit = toIntNonNeg(req.query.limit);
-  let offset = toIntNonNeg(req.query.offset);
-  limit = limit === null ? DEFAULT_LIMIT : Math.min(limit, MAX_LIMIT);
-  offset = offset === null ? DEFAULT_OFFSET : offset;
+  const limit = Math.min(toIntNonNeg(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
 
   const { key: orderBy, dir: order } = parseSort(req.query.orderBy, req.query.order);
+  const orden = `${orderBy}:${order}`;
+  const cursor = parseCursor(req.query.cursor, orden);
+  if (cursor.error) return badRequest(res, cursor.error);
 
-  const where = [];
+  const archivadas = isTrue(req.query.archivadas) && hasRole(req.user, [ROLES.ADMIN]);
+  const where = [archivadas ? 'archivado_en IS NOT NULL' : 'archivado_en IS NULL'];
   const params = [];
 
   if (q) {
@@ -47,58 +161,163 @@ router.get('/categorias', asyncHandler(async (req, res) => {
     where.push(`LOWER(nombre) LIKE $${params.length}`);
   }
 
+  const parentRaw = norm(req.query.parent_id).toLowerCase();
+  if (parentRaw === 'raiz') {
+    where.push('parent_id IS NULL');
+  } else if (parentRaw) {
+    const parentId = toIntNonNeg(parentRaw);
+    if (parentId === null) return badRequest(res, 'parent_id inválido');
+    params.push(parentId);
+    where.push(`parent_id = $${params.length}`);
+  }
+
+  // El total ignora el cursor: se cuenta sobre los filtros
+  const totalPromise = quiereTotal(req.query.con_total)
+    ? pool.query(`SELECT COUNT(*)::int AS total FROM categoria WHERE ${where.join(' AND ')}`, [...params])
+    : null;
+
+  if (cursor.value) where.push(cursorWhere(orderBy, 'id', order, cursor.value, params));
+
   let sql = `
-    SELECT id, nombre, COUNT(*) OVER() AS total
+    SELECT ${COLUMNAS}, ${TOTAL_COMIDAS},
+           ${orderBy}::text AS cursor_valor
     FROM categoria
+    WHERE ${where.join(' AND ')}
   `;
-  if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
 
-  // LIMIT/OFFSET deben ir como parámetros
-  params.push(limit, offset);
-  sql += ` ORDER BY ${orderBy} ${order} LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  // LIMIT debe ir como parámetro; se pide una fila extra para saber si hay más
+  params.push(limit + 1);
+  sql += ` ORDER BY ${orderBy} ${order}, id ${order} LIMIT $${params.length}`;
 
-  const { rows } = await pool.query(sql, params);
-  const total = rows[0]?.total ? Number(rows[0].total) : 0;
-  const items = rows.map(({ total: _t, ...r }) => r);
+  const [{ rows }, totalResult] = await Promise.all([pool.query(sql, params), totalPromise]);
+  const { items, next_cursor } = paginar(rows, limit, orden);
 
-  res.json({ items, meta: { total, limit, offset, orderBy, order } });
+  res.json({
+    items,
+    meta: {
+      limit,
+      orderBy,
+      order,
+      next_cursor,
+      ...(totalResult && { total: totalResult.rows[0].total })
+    }
+  });
 }));
 
-/* ============ GET /categorias/:id ============ */
+/* ============ GET /categorias/arbol ============ */
+/**
+ * Todas las categorías activas anidadas en `hijos`, ordenadas por orden y nombre.
+ * Respuesta: { items: [{ id, nombre, slug, parent_id, orden, icono, total_comidas, hijos: [...] }] }
+ */
+router.get('/categorias/arbol', asyncHandler(async (_req, res) => {
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNAS},
+            (SELECT COUNT(*)::int FROM comidas c
+             WHERE c.categoria_id = categoria.id AND c.archivado_en IS NULL) AS comidas_directas
+     FROM categoria
+     WHERE archivado_en IS NULL
+     ORDER BY orden, nombre, id`
+  );
+  res.json({ items: armarArbol(rows) });
+}));
+
+/* ============ GET /categorias/:id (id o slug) ============ */
 router.get('/categorias/:id', asyncHandler(async (req, res) => {
-  const id = toIntNonNeg(req.params.id);
-  if (id === null) return badRequest(res, 'ID inválido');
+  const categoria = await findCategoria(req.params.id);
+  if (!categoria) return res.status(404).json({ mensaje: 'Categoría no encontrada' });
 
-  const { rows } = await pool.query('SELECT id, nombre FROM categoria WHERE id = $1', [id]);
-  if (rows.length === 0) return res.status(404).json({ mensaje: 'Categoría no encontrada' });
+  res.json(categoria);
+}));
 
-  res.json(rows[0]);
+/* ============ GET /categorias/:id/comidas ============ */
+/**
+ * Comidas vigentes de la categoría y sus subcategorías, más nuevas primero. :id acepta el slug.
+ * Query params: limit, cursor, con_total
+ * Respuesta: { items: [...], meta: { limit, next_cursor, total? } }
+ */
+router.get('/categorias/:id/comidas', asyncHandler(async (req, res) => {
+  const limit = Math.min(toIntNonNeg(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  const orden = 'id:DESC';
+  const cursor = parseCursor(req.query.cursor, orden);
+  if (cursor.error) return badRequest(res, cursor.error);
+
+  const categoria = await findCategoria(req.params.id);
+  if (!categoria) return res.status(404).json({ mensaje: 'Categoría no encontrada' });
+
+  const params = [categoria.id];
+  const where = [
+    'c.categoria_id IN (SELECT categoria_descendientes($1))',
+    'c.archivado_en IS NULL',
+    comidaVigenteSql('c')
+  ];
+
+  const totalPromise = quiereTotal(req.query.con_total)
+    ? pool.query(`SELECT COUNT(*)::int AS total FROM comidas c WHERE ${where.join(' AND ')}`, [...params])
+    : null;
+
+  if (cursor.value) where.push(cursorWhere('c.id', 'c.id', 'DESC', cursor.value, params));
+  params.push(limit + 1);
+
+  const [{ rows }, totalResult] = await Promise.all([
+    pool.query(
+      `SELECT c.id, c.nombre, c.descripcion, c.precio,
+              precio_vigente(c.precio, c.id, c.retiro_hasta) AS precio_vigente,
+              descuento_vigente(c.id, c.retiro_hasta) AS descuento_porcentaje,
+              c.imagen, c.vendedor_id, c.retiro_hasta, c.cantidad_disponible,
+              c.id::text AS cursor_valor
+       FROM comidas c
+       WHERE ${where.join(' AND ')}
+       ORDER BY c.id DESC
+       LIMIT $${params.length}`,
+      params
+    ),
+    totalPromise
+  ]);
+  const { items, next_cursor } = paginar(rows, limit, orden);
+
+  res.json({
+    items: items.map((c) => ({
+      ...c,
+      precio: toNumberOrNull(c.precio),
+      precio_vigente: toNumberOrNull(c.precio_vigente),
+      descuento_porcentaje: toNumberOrNull(c.descuento_porcentaje)
+    })),
+    meta: { limit, next_cursor, ...(totalResult && { total: totalResult.rows[0].total }) }
+  });
 }));
 
 /* ============ POST /categorias ============ */
 /**
- * Body: { nombre }
+ * Body: { nombre, slug?, parent_id?, orden?, icono? }
+ * Sin slug se genera a partir del nombre.
  */
-router.post('/categorias', asyncHandler(async (req, res) => {
-  const nombre = norm(req.body?.nombre);
+router.post('/categorias', authorize('POST /categorias'), asyncHandler(async (req, res) => {
+  const parsed = parseCategoriaBody(req.body);
+  if (parsed.error) return badRequest(res, parsed.error);
+  const { nombre, slug, parent_id: parentId, orden, icono } = parsed.value;
 
-  if (!nombre || nombre.length > 120) {
-    return badRequest(res, 'El nombre es requerido y debe tener ≤ 120 caracteres');
-  }
+  const errorPadre = await validarPadre(undefined, parentId);
+  if (errorPadre) return badRequest(res, errorPadre);
 
   try {
     const { rows } = await pool.query(
-      `INSERT INTO categoria (nombre)
-       VALUES ($1)
-       RETURNING id, nombre`,
-      [nombre]
+      `INSERT INTO categoria (nombre, slug, parent_id, orden, icono)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${COLUMNAS}`,
+      [nombre, slug, parentId, orden, icono]
     );
     const created = rows[0];
+    await registrarAuditoria(pool, req, {
+      accion: 'crear',
+      entidad: 'categoria',
+      entidadId: created.id,
+      despues: await leerFila(pool, 'categoria', created.id)
+    });
     return res.status(201).location(`/api/categorias/${created.id}`).json(created);
   } catch (err) {
-    // 23505 = unique_violation
     if (err.code === '23505') {
-      return res.status(409).json({ mensaje: 'Ya existe una categoría con ese nombre' });
+      return res.status(409).json({ mensaje: mensajeDuplicado(err) });
     }
     throw err;
   }
@@ -106,78 +325,100 @@ router.post('/categorias', asyncHandler(async (req, res) => {
 
 /* ============ PUT /categorias/:id (reemplazo) ============ */
 /**
- * Body: { nombre }
+ * Body: { nombre, slug?, parent_id?, orden?, icono? }
+ * Como es un reemplazo, sin slug se regenera a partir del nombre.
  */
-router.put('/categorias/:id', asyncHandler(async (req, res) => {
+router.put('/categorias/:id', authorize('PUT /categorias/:id'), asyncHandler(async (req, res) => {
   const id = toIntNonNeg(req.params.id);
   if (id === null) return badRequest(res, 'ID inválido');
 
-  const nombre = norm(req.body?.nombre);
-  if (!nombre || nombre.length > 120) {
-    return badRequest(res, 'El nombre es requerido y debe tener ≤ 120 caracteres');
-  }
+  const parsed = parseCategoriaBody(req.body);
+  if (parsed.error) return badRequest(res, parsed.error);
+  const { nombre, slug, parent_id: parentId, orden, icono } = parsed.value;
+
+  const errorPadre = await validarPadre(id, parentId);
+  if (errorPadre) return badRequest(res, errorPadre);
 
   try {
-    const { rows } = await pool.query(
-      `UPDATE categoria
-         SET nombre = $1
-       WHERE id = $2
-       RETURNING id, nombre`,
-      [nombre, id]
+    const { rows } = await auditarCambio(pool, req, { accion: 'actualizar', entidad: 'categoria', entidadId: id }, () =>
+      pool.query(
+        `UPDATE categoria
+           SET nombre = $1, slug = $2, parent_id = $3, orden = $4, icono = $5
+         WHERE id = $6
+         RETURNING ${COLUMNAS}`,
+        [nombre, slug, parentId, orden, icono, id]
+      )
     );
     if (rows.length === 0) return res.status(404).json({ mensaje: 'Categoría no encontrada' });
     res.json(rows[0]);
   } catch (err) {
     if (err.code === '23505') {
-      return res.status(409).json({ mensaje: 'Ya existe una categoría con ese nombre' });
+      return res.status(409).json({ mensaje: mensajeDuplicado(err) });
     }
     throw err;
   }
 }));
 
 /* ============ PATCH /categorias/:id (parcial) ============ */
-router.patch('/categorias/:id', asyncHandler(async (req, res) => {
+router.patch('/categorias/:id', authorize('PATCH /categorias/:id'), asyncHandler(async (req, res) => {
   const id = toIntNonNeg(req.params.id);
   if (id === null) return badRequest(res, 'ID inválido');
 
-  const nombreProvided = Object.prototype.hasOwnProperty.call(req.body || {}, 'nombre');
-  if (!nombreProvided) return badRequest(res, 'No hay campos para actualizar');
+  const parsed = parseCategoriaBody(req.body, { parcial: true });
+  if (parsed.error) return badRequest(res, parsed.error);
+  const campos = Object.entries(parsed.value);
+  if (campos.length === 0) return badRequest(res, 'No hay campos para actualizar');
 
-  const nombre = nombreProvided ? norm(req.body.nombre) : undefined;
-  if (nombreProvided && (!nombre || nombre.length > 120)) {
-    return badRequest(res, 'Nombre inválido');
+  if (parsed.value.parent_id !== undefined) {
+    const errorPadre = await validarPadre(id, parsed.value.parent_id);
+    if (errorPadre) return badRequest(res, errorPadre);
   }
 
   const sets = [];
   const params = [];
 
-  if (nombreProvided) { params.push(nombre); sets.push(`nombre = $${params.length}`); }
+  // Las claves vienen de parseCategoriaBody, no del cliente
+  for (const [col, valor] of campos) { params.push(valor); sets.push(`${col} = $${params.length}`); }
   params.push(id);
 
   try {
-    const { rows } = await pool.query(
-      `UPDATE categoria SET ${sets.join(', ')} WHERE id = $${params.length}
-       RETURNING id, nombre`,
-      params
+    const { rows } = await auditarCambio(pool, req, { accion: 'actualizar', entidad: 'categoria', entidadId: id }, () =>
+      pool.query(
+        `UPDATE categoria SET ${sets.join(', ')} WHERE id = $${params.length}
+         RETURNING ${COLUMNAS}`,
+        params
+      )
     );
     if (rows.length === 0) return res.status(404).json({ mensaje: 'Categoría no encontrada' });
     res.json(rows[0]);
   } catch (err) {
     if (err.code === '23505') {
-      return res.status(409).json({ mensaje: 'Ya existe una categoría con ese nombre' });
+      return res.status(409).json({ mensaje: mensajeDuplicado(err) });
     }
     throw err;
   }
 }));
 
-/* ============ DELETE /categorias/:id (protegido si tiene comidas) ============ */
-router.delete('/categorias/:id', asyncHandler(async (req, res) => {
+/* ============ DELETE /categorias/:id (archiva; protegido si tiene subcategorías o comidas) ============ */
+// Solo cuentan las subcategorías y comidas activas; la fila se conserva para poder restaurarla
+router.delete('/categorias/:id', authorize('DELETE /categorias/:id'), asyncHandler(async (req, res) => {
   const id = toIntNonNeg(req.params.id);
   if (id === null) return badRequest(res, 'ID inválido');
 
+  const { rows: hijas } = await pool.query(
+    'SELECT COUNT(*)::int AS cnt FROM categoria WHERE parent_id = $1 AND archivado_en IS NULL',
+    [id]
+  );
+  if (hijas[0].cnt > 0) {
+    return res.status(409).json({
+      mensaje: 'No se puede eliminar la categoría: tiene subcategorías',
+      subcategorias: hijas[0].cnt
+    });
+  }
+
   // Verifica si hay comidas que referencian la categoría
   const { rows: rel } = await pool.query(
-    'SELECT COUNT(*)::int AS cnt FROM comidas WHERE categoria_id = $1',
+    'SELECT COUNT(*)::int AS cnt FROM comidas WHERE categoria_id = $1 AND archivado_en IS NULL',
     [id]
   );
   const cnt = rel[0]?.cnt ?? 0;
@@ -188,11 +429,44 @@ router.delete('/categorias/:id', asyncHandler(async (req, res) => {
     });
   }
 
-  const { rows } = await pool.query('DELETE FROM categoria WHERE id = $1 RETURNING id', [id]);
+  const { rows } = await auditarCambio(pool, req, { accion: 'archivar', entidad: 'categoria', entidadId: id }, () =>
+    pool.query(
+      'UPDATE categoria SET archivado_en = COALESCE(archivado_en, NOW()) WHERE id = $1 RETURNING id',
+      [id]
+    )
+  );
   if (rows.length === 0) return res.status(404).json({ mensaje: 'Categoría no encontrada' });
   res.status(204).send();
 }));
 
+/* ============ POST /categorias/:id/restaurar ============ */
+router.post('/categorias/:id/restaurar', authorize('POST /categorias/:id/restaurar'), asyncHandler(async (req, res) => {
+  const id = toIntNonNeg(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
+
+  const { rows: actual } = await pool.query(
+    `SELECT k.archivado_en, p.archivado_en AS padre_archivado_en
+     FROM categoria k
+     LEFT JOIN categoria p ON p.id = k.parent_id
+     WHERE k.id = $1`,
+    [id]
+  );
+  if (actual.length === 0 || !actual[0].archivado_en) {
+    return res.status(404).json({ mensaje: 'No hay una categoría archivada con ese ID' });
+  }
+  if (actual[0].padre_archivado_en) {
+    return res.status(409).json({ mensaje: 'La categoría padre está archivada; restáurala primero' });
+  }
+
+  const { rows } = await auditarCambio(pool, req, { accion: 'restaurar', entidad: 'categoria', entidadId: id }, () =>
+    pool.query(
+      `UPDATE categoria SET archivado_en = NULL WHERE id = $1 RETURNING ${COLUMNAS}`,
+      [id]
+    )
+  );
+  res.json(rows[0]);
+}));
+
 /* ============ Error handler del router ============ */
 router.use((err, _req, res, _next) => {
   console.error('Error categorías:', err);
@@ -1,6 +1,11 @@
 // checkout.js - Router para procesar pagos con Stripe, Efectivo y QR
 const express = require('express');
 const pool = require('./db');
+const { optionalAuth } = require('./authMiddleware');
+const {
+  buscarItemVencido, buscarFaltanteCarrito, renovarReservas, stockInsuficiente, comidaVencida
+} = require('./stock');
+const { crearPedidoDesdeCarrito } = require('./pedidoDesdeCarrito');
 const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
@@ -29,44 +34,37 @@ if (!process.env.STRIPE_PUBLISHABLE_KEY) {
 const getSessionId = (req) => req.headers['x-session-id'];
 
 /* ============================================
- * UTILIDAD: crear pedidos desde carrito
+ * UTILIDAD: reembolsar un pago con tarjeta que no llegó a ser pedido
+ * Con el pago bloqueado en la transacción de client, lo marca como
+ * reembolsado. Devuelve { id, estado } del reembolso, o null si Stripe
+ * lo rechazó (queda en el log para devolverlo a mano).
  * ============================================ */
-async function crearPedidosDesdeCarrito(client, carrito, metodoPago, estadoInicial = 'confirmado') {
-  const itemsResult = await client.query(
-    `SELECT ci.*, c.nombre
-     FROM carrito_items ci
-     JOIN comidas c ON c.id = ci.comida_id
-     WHERE ci.carrito_id = $1`,
-    [carrito.id]
-  );
-
-  const pedidosCreados = [];
-  for (const item of itemsResult.rows) {
-    const pedidoResult = await client.query(
-      `INSERT INTO pedido (
-        comida_id, nombre_cliente, email_cliente, telefono_cliente, direccion,
-        cantidad, precio_total, estado, notas, metodo_pago
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-      RETURNING id`,
-      [
-        item.comida_id,
-        carrito.nombre_cliente,
-        carrito.email_cliente,
-        carrito.telefono_cliente,
-        carrito.direccion,
-        item.cantidad,
-        parseFloat(item.precio_unitario) * parseInt(item.cantidad),
-        estadoInicial,
-        item.notas,
-        metodoPago
-      ]
+async function reembolsarPago(client, pago) {
+  try {
+    const refund = await stripe.refunds.create(
+      { payment_intent: pago.stripe_payment_intent_id },
+      { idempotencyKey: `reembolso-${pago.stripe_payment_intent_id}` }
+    );
+    await client.query(
+      'UPDATE pagos SET estado = $1, fecha_actualizacion = NOW() WHERE id = $2',
+      ['reembolsado', pago.id]
     );
-    pedidosCreados.push(pedidoResult.rows[0].id);
+    console.log(`↩️ Pago ${pago.id} reembolsado (${refund.id})`);
+    return { id: refund.id, estado: refund.status };
+  } catch (error) {
+    console.error(`❌ No se pudo reembolsar el pago ${pago.id} (${pago.stripe_payment_intent_id}):`, error);
+    return null;
   }
-
-  return pedidosCreados;
 }
 
+// Errores conocidos (stock, comida vencida) con su status; el resto es 500
+const sendCheckoutError = (res, error, mensaje) => {
+  if (error.status === 409 && error.body) {
+    return res.status(409).json(error.body);
+  }
+  return res.status(500).json({ mensaje, error: error.message });
+};
+
 /* ============================================
  * GET /api/checkout/config
  * ============================================ */
@@ -124,10 +122,14 @@ router.post('/checkout/create-payment-intent', async (req, res) => {
 
     // Obtener items
     const itemsResult = await client.query(
-      `SELECT ci.*, c.nombre, c.precio, c.precio_original, 
-              c.descuento_porcentaje, c.empresa, c.categoria
+      `SELECT ci.*, c.nombre, precio_vigente(c.precio, c.id, c.retiro_hasta) AS precio,
+              c.precio AS precio_original,
+              descuento_vigente(c.id, c.retiro_hasta) AS descuento_porcentaje,
+              c.categoria, c.vendedor_id,
+              COALESCE(v.nombre_comercial, c.empresa) AS empresa
        FROM carrito_items ci
        JOIN comidas c ON c.id = ci.comida_id
+       LEFT JOIN vendedores v ON v.id = c.vendedor_id
        WHERE ci.carrito_id = $1`,
       [carrito.id]
     );
@@ -137,6 +139,22 @@ router.post('/checkout/create-payment-intent', async (req, res) => {
       return res.status(400).json({ mensaje: 'El carrito está vacío' });
     }
 
+    // No cobrar comidas cuya ventana de retiro ya cerró
+    const vencido = await buscarItemVencido(client, carrito.id);
+    if (vencido) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(comidaVencida(vencido));
+    }
+
+    // Ni lo que ya no alcanza: el stock recién se descuenta al confirmar
+    const faltante = await buscarFaltanteCarrito(client, carrito.id);
+    if (faltante) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(stockInsuficiente(faltante));
+    }
+    // y mientras el cliente paga, nadie más se lo lleva
+    await renovarReservas(client, carrito.id);
+
     // Calcular total correctamente
     const total = itemsResult.rows.reduce(
       (sum, item) => sum + parseFloat(item.precio || item.precio_unitario || 0) * parseInt(item.cantidad),
@@ -190,7 +208,9 @@ router.post('/checkout/create-payment-intent', async (req, res) => {
             comida_id: i.comida_id,
             nombre: i.nombre,
             cantidad: i.cantidad,
-            precio_unitario: i.precio_unitario
+            precio_unitario: parseFloat(i.precio),
+            precio_original: parseFloat(i.precio_original),
+            descuento_porcentaje: Number(i.descuento_porcentaje)
           }))
         })
       ]
@@ -215,8 +235,11 @@ router.post('/checkout/create-payment-intent', async (req, res) => {
 
 /* ============================================
  * POST /api/checkout/confirm
+ * El pedido se arma con los precios cobrados al crear el PaymentIntent.
+ * Si no se puede crear (stock, comida vencida, el carrito cambió desde el
+ * cobro) el pago se reembolsa: 409 con el motivo y reembolso: { id, estado } | null.
  * ============================================ */
-router.post('/checkout/confirm', async (req, res) => {
+router.post('/checkout/confirm', optionalAuth, async (req, res) => {
   const { paymentIntentId } = req.body;
   const sessionId = getSessionId(req);
 
@@ -236,8 +259,9 @@ router.post('/checkout/confirm', async (req, res) => {
       });
     }
 
+    // FOR UPDATE: una segunda confirmación espera a la primera y ve su pedido
     const pagoResult = await client.query(
-      'SELECT * FROM pagos WHERE stripe_payment_intent_id = $1',
+      'SELECT * FROM pagos WHERE stripe_payment_intent_id = $1 FOR UPDATE',
       [paymentIntentId]
     );
     if (pagoResult.rows.length === 0) {
@@ -250,6 +274,14 @@ router.post('/checkout/confirm', async (req, res) => {
       await client.query('ROLLBACK');
       return res.json({ mensaje: 'Pago ya procesado', pedido_id: pago.pedido_id });
     }
+    if (pago.estado === 'reembolsado') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        mensaje: 'El pago ya fue reembolsado porque no se pudo crear el pedido',
+        codigo: 'PAGO_REEMBOLSADO',
+        pago_id: pago.id
+      });
+    }
 
     const carritoResult = await client.query(
       'SELECT * FROM carritos WHERE id = $1',
@@ -257,13 +289,27 @@ router.post('/checkout/confirm', async (req, res) => {
     );
     const carrito = carritoResult.rows[0];
 
-    const pedidosCreados = await crearPedidosDesdeCarrito(client, carrito, 'tarjeta');
+    let pedidoId;
+    await client.query('SAVEPOINT crear_pedido');
+    try {
+      // Al precio que se cobró en create-payment-intent, aunque después empezara una rebaja
+      ({ pedidoId } = await crearPedidoDesdeCarrito(client, req, carrito, 'tarjeta', {
+        cobrado: { monto: pago.monto_total, items: pago.metadata?.items }
+      }));
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      // Stripe ya cobró y no hay pedido (stock, comida vencida, carrito cambiado): se devuelve el dinero
+      await client.query('ROLLBACK TO SAVEPOINT crear_pedido');
+      const reembolso = await reembolsarPago(client, pago);
+      await client.query('COMMIT');
+      return res.status(409).json({ ...error.body, reembolso });
+    }
 
     await client.query(
       `UPDATE pagos 
        SET estado = $1, pedido_id = $2, fecha_actualizacion = NOW()
        WHERE id = $3`,
-      ['exitoso', pedidosCreados[0], pago.id]
+      ['exitoso', pedidoId, pago.id]
     );
 
     await client.query(
@@ -274,14 +320,15 @@ router.post('/checkout/confirm', async (req, res) => {
     await client.query('COMMIT');
 
     res.json({
-      mensaje: 'Pago confirmado y pedido(s) creado(s)',
-      pedidos: pedidosCreados,
+      mensaje: 'Pago confirmado y pedido creado',
+      pedido_id: pedidoId,
+      pedidos: [pedidoId],
       pago_id: pago.id,
     });
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Error en confirm:', error);
-    res.status(500).json({ mensaje: 'Error al confirmar el pago', error: error.message });
+    sendCheckoutError(res, error, 'Error al confirmar el pago');
   } finally {
     client.release();
   }
@@ -291,7 +338,7 @@ router.post('/checkout/confirm', async (req, res) => {
  * POST /api/checkout/confirm-efectivo
  * Confirma pedido con pago en efectivo
  * ============================================ */
-router.post('/checkout/confirm-efectivo', async (req, res) => {
+router.post('/checkout/confirm-efectivo', optionalAuth, async (req, res) => {
   const sessionId = getSessionId(req);
   console.log('💵 Recibida petición confirm-efectivo');
   console.log('📍 Session ID:', sessionId);
@@ -325,7 +372,7 @@ router.post('/checkout/confirm-efectivo', async (req, res) => {
 
     // Verificar items
     const itemsResult = await client.query(
-      `SELECT ci.*, c.precio
+      `SELECT ci.*, precio_vigente(c.precio, c.id, c.retiro_hasta) AS precio
        FROM carrito_items ci
        JOIN comidas c ON c.id = ci.comida_id
        WHERE ci.carrito_id = $1`,
@@ -343,13 +390,10 @@ router.post('/checkout/confirm-efectivo', async (req, res) => {
       0
     );
 
-    // Crear pedidos con estado 'pendiente_pago'
-    const pedidosCreados = await crearPedidosDesdeCarrito(
-      client, 
-      carrito, 
-      'efectivo', 
-      'pendiente_pago'
-    );
+    // Crear el pedido con estado 'pendiente_pago'
+    const { pedidoId } = await crearPedidoDesdeCarrito(client, req, carrito, 'efectivo', {
+      estadoInicial: 'pendiente_pago'
+    });
 
     // Registrar el pago como pendiente
     await client.query(
@@ -366,13 +410,13 @@ router.post('/checkout/confirm-efectivo', async (req, res) => {
         total,
         'bob', // Bolivianos
         'pendiente',
-        pedidosCreados[0],
+        pedidoId,
         JSON.stringify({
           metodo_pago: 'efectivo',
           items: itemsResult.rows.map(i => ({
             comida_id: i.comida_id,
             cantidad: i.cantidad,
-            precio_unitario: i.precio_unitario
+            precio_unitario: parseFloat(i.precio)
           }))
         })
       ]
@@ -387,14 +431,15 @@ router.post('/checkout/confirm-efectivo', async (req, res) => {
 
     res.json({
       mensaje: 'Pedido confirmado. Paga en efectivo al recibir tu pedido.',
-      pedidos: pedidosCreados,
+      pedido_id: pedidoId,
+      pedidos: [pedidoId],
       monto_total: total,
       metodo_pago: 'efectivo'
     });
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Error en confirm-efectivo:', error);
-    res.status(500).json({ mensaje: 'Error al confirmar pedido', error: error.message });
+    sendCheckoutError(res, error, 'Error al confirmar pedido');
   } finally {
     client.release();
   }
@@ -404,7 +449,7 @@ router.post('/checkout/confirm-efectivo', async (req, res) => {
  * POST /api/checkout/confirm-qr
  * Confirma pedido con pago QR
  * ============================================ */
-router.post('/checkout/confirm-qr', async (req, res) => {
+router.post('/checkout/confirm-qr', optionalAuth, async (req, res) => {
   const sessionId = getSessionId(req);
   console.log('📱 Recibida petición confirm-qr');
   console.log('📍 Session ID:', sessionId);
@@ -438,7 +483,7 @@ router.post('/checkout/confirm-qr', async (req, res) => {
 
     // Verificar items
     const itemsResult = await client.query(
-      `SELECT ci.*, c.precio
+      `SELECT ci.*, precio_vigente(c.precio, c.id, c.retiro_hasta) AS precio
        FROM carrito_items ci
        JOIN comidas c ON c.id = ci.comida_id
        WHERE ci.carrito_id = $1`,
@@ -456,13 +501,10 @@ router.post('/checkout/confirm-qr', async (req, res) => {
       0
     );
 
-    // Crear pedidos con estado 'pendiente_verificacion'
-    const pedidosCreados = await crearPedidosDesdeCarrito(
-      client, 
-      carrito, 
-      'qr', 
-      'pendiente_verificacion'
-    );
+    // Crear el pedido con estado 'pendiente_verificacion'
+    const { pedidoId } = await crearPedidoDesdeCarrito(client, req, carrito, 'qr', {
+      estadoInicial: 'pendiente_verificacion'
+    });
 
     // Registrar el pago como pendiente de verificación
     await client.query(
@@ -479,13 +521,13 @@ router.post('/checkout/confirm-qr', async (req, res) => {
         total,
         'bob', // Bolivianos
         'pendiente_verificacion',
-        pedidosCreados[0],
+        pedidoId,
         JSON.stringify({
           metodo_pago: 'qr',
           items: itemsResult.rows.map(i => ({
             comida_id: i.comida_id,
             cantidad: i.cantidad,
-            precio_unitario: i.precio_unitario
+            precio_unitario: parseFloat(i.precio)
           }))
         })
       ]
@@ -500,14 +542,15 @@ router.post('/checkout/confirm-qr', async (req, res) => {
 
     res.json({
       mensaje: 'Pago QR registrado. Verificaremos tu transacción pronto.',
-      pedidos: pedidosCreados,
+      pedido_id: pedidoId,
+      pedidos: [pedidoId],
       monto_total: total,
       metodo_pago: 'qr'
     });
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Error en confirm-qr:', error);
-    res.status(500).json({ mensaje: 'Error al confirmar pedido', error: error.message });
+    sendCheckoutError(res, error, 'Error al confirmar pedido');
   } finally {
     client.release();
   }
@@ -1,17 +1,39 @@
 'use strict';
 // comida.js mejorado con soporte para imágenes
+const crypto = require('crypto');
 const express = require('express');
 const pool = require('./db'); // pg Pool
+const { optionalAuth } = require('./authMiddleware');
+const { ROLES, hasRole, authorize, requireVerifiedVendor, loadVendedor } = require('./permisos');
+const { comidaVigenteSql } = require('./stock');
+const { parseCursor, cursorWhere, paginar, quiereTotal } = require('./paginacion');
+const { getStorage, removeFiles } = require('./storage');
+const { detectImageType, recibirImagenes, MAX_IMAGENES_POR_COMIDA } = require('./imagenes');
+const { parseCsv, toCsv } = require('./csv');
+const { leerFila, registrarAuditoria, auditarCambio } = require('./auditoria');
 const router = express.Router();
 
 /* =================== Utilidades =================== */
-const CATEGORIAS_PERMITIDAS = new Set([
-  'Desayuno', 'Almuerzo', 'Cena', 'Postre', 'Bebida', 'Snack'
+// Etiquetas dietarias (mismo listado que comidas_etiquetas_chk)
+const ETIQUETAS_PERMITIDAS = new Set([
+  'vegetariano', 'vegano', 'sin_gluten', 'sin_lactosa', 'sin_azucar', 'halal', 'kosher'
 ]);
 
+// Límites superiores (exclusivos) de los rangos de precio de la faceta; el último es abierto
+const RANGOS_PRECIO = [10, 20, 50];
+
 const MAX_LIMIT = 200;
 const DEFAULT_LIMIT = 100;
-const DEFAULT_OFFSET = 0;
+
+const MAX_TRAMOS_REBAJA = 10;
+const MAX_RADIO_KM = 100;
+const MAX_DESCRIPCION = 2000;
+
+// precio es el precio de lista; precio_vigente aplica la rebaja programada del momento
+const COLUMNAS = `id, sku, nombre, descripcion, categoria_id, categoria, etiquetas, precio, imagen, vendedor_id, cantidad_disponible,
+  retiro_desde, retiro_hasta, consumir_antes, NOT ${comidaVigenteSql('comidas')} AS vencida,
+  precio AS precio_original, descuento_vigente(id, retiro_hasta) AS descuento_porcentaje,
+  precio_vigente(precio, id, retiro_hasta) AS precio_vigente, archivado_en`;
 
 const norm = (t) => (typeof t === 'string' ? t.trim() : '');
 const toIntPos = (v) => {
@@ -23,7 +45,87 @@ const toPrecio = (v) => {
   const n = Number(v);
   return Number.isFinite(n) && n >= 0 ? n : null;
 };
-const isCategoriaValida = (c) => !c || CATEGORIAS_PERMITIDAS.has(c);
+// Las categorías válidas son las de la tabla categoria (gestionadas en categoria.js)
+const findCategoriaId = async ({ id, nombre }) => {
+  const { rows } = id !== undefined
+    ? await pool.query('SELECT id FROM categoria WHERE id = $1 AND archivado_en IS NULL', [id])
+    : await pool.query(
+      `SELECT id FROM categoria
+       WHERE (LOWER(nombre) = LOWER($1) OR slug = LOWER($1)) AND archivado_en IS NULL
+       ORDER BY LOWER(nombre) = LOWER($1) DESC LIMIT 1`,
+      [nombre]
+    );
+  return rows[0]?.id ?? null;
+};
+
+/**
+ * Lee la categoría del body o query: categoria_id o, por compatibilidad, categoria (nombre o slug).
+ * { value: undefined } si no viene ninguna, null si se vacía, o el id.
+ */
+const parseCategoria = async (src) => {
+  if (src?.categoria_id !== undefined) {
+    if (src.categoria_id === null || src.categoria_id === '') return { value: null };
+    const id = toIntPos(src.categoria_id);
+    const existe = id !== null && await findCategoriaId({ id });
+    return existe ? { value: id } : { error: 'Categoría inválida' };
+  }
+  if (src?.categoria !== undefined) {
+    const nombre = norm(src.categoria);
+    if (!nombre) return { value: null };
+    const id = await findCategoriaId({ nombre });
+    return id !== null ? { value: id } : { error: 'Categoría inválida' };
+  }
+  return { value: undefined };
+};
+
+// Acepta lista o texto separado por comas; devuelve { value: [...] } o { error }
+const parseEtiquetas = (v) => {
+  if (v === null || v === '') return { value: [] };
+  const lista = Array.isArray(v) ? v : String(v).split(',');
+  const etiquetas = [...new Set(lista.map((e) => norm(String(e)).toLowerCase()).filter(Boolean))];
+  const invalida = etiquetas.find((e) => !ETIQUETAS_PERMITIDAS.has(e));
+  if (invalida) {
+    return { error: `Etiqueta inválida: ${invalida}. Permitidas: ${[...ETIQUETAS_PERMITIDAS].join(', ')}` };
+  }
+  return { value: etiquetas };
+};
+// Fechas de retiro/consumo: ''/null = sin límite
+const toFecha = (v, campo) => {
+  if (v === '' || v === null) return { value: null };
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? { error: `${campo} debe ser una fecha válida` } : { value: d };
+};
+const isTrue = (v) => ['1', 'true', 'si', 'sí'].includes(norm(v).toLowerCase());
+
+// Lee retiro_desde, retiro_hasta y consumir_antes del body (solo los presentes)
+const parseFechasBody = (body) => {
+  const out = {};
+  for (const campo of ['retiro_desde', 'retiro_hasta', 'consumir_antes']) {
+    if (body?.[campo] === undefined) continue;
+    const f = toFecha(body[campo], campo);
+    if (f.error) return { error: f.error };
+    out[campo] = f.value;
+  }
+  if (out.retiro_desde && out.retiro_hasta && out.retiro_desde >= out.retiro_hasta) {
+    return { error: 'retiro_desde debe ser anterior a retiro_hasta' };
+  }
+  return { value: out };
+};
+
+// SKU externo del vendedor (único dentro de su negocio); ''/null = sin sku
+const SKU_RE = /^[A-Za-z0-9._-]{1,64}$/;
+const parseSku = (v) => {
+  const sku = norm(v ?? '');
+  if (!sku) return { value: null };
+  return SKU_RE.test(sku) ? { value: sku } : { error: 'sku inválido: hasta 64 letras, números, ".", "_" o "-"' };
+};
+
+// Stock: ''/null = sin control de stock; si no, entero ≥ 0
+const toStock = (v) => {
+  if (v === '' || v === null) return { value: null };
+  const n = toIntPos(v);
+  return n === null ? { error: 'cantidad_disponible debe ser un entero ≥ 0' } : { value: n };
+};
 
 // Validar URL de imagen (básico)
 const isValidImageUrl = (url) => {
@@ -36,127 +138,1008 @@ const isValidImageUrl = (url) => {
   }
 };
 
+const toNumberOrNull = (v) => (v !== null && v !== undefined ? Number(v) : null);
 const mapPrecioNumber = (row) =>
-  row ? { ...row, precio: row.precio !== null ? Number(row.precio) : null } : row;
+  row
+    ? {
+      ...row,
+      precio: toNumberOrNull(row.precio),
+      ...(row.precio_vigente !== undefined && {
+        precio_original: toNumberOrNull(row.precio_original),
+        descuento_porcentaje: toNumberOrNull(row.descuento_porcentaje),
+        precio_vigente: toNumberOrNull(row.precio_vigente)
+      })
+    }
+    : row;
+
+/**
+ * Valida los tramos de rebaja: [{ minutos_antes, descuento_porcentaje }]
+ * Devuelve { value: tramos ordenados por minutos_antes desc } o { error }.
+ */
+const parseTramosRebaja = (tramos) => {
+  if (!Array.isArray(tramos)) return { error: 'tramos debe ser una lista' };
+  if (tramos.length > MAX_TRAMOS_REBAJA) {
+    return { error: `Máximo ${MAX_TRAMOS_REBAJA} tramos de rebaja` };
+  }
+
+  const vistos = new Set();
+  const value = [];
+  for (const t of tramos) {
+    const minutos = Number(t?.minutos_antes);
+    const descuento = Number(t?.descuento_porcentaje);
+    if (!Number.isInteger(minutos) || minutos <= 0) {
+      return { error: 'minutos_antes debe ser un entero > 0' };
+    }
+    if (!Number.isFinite(descuento) || descuento <= 0 || descuento >= 100) {
+      return { error: 'descuento_porcentaje debe estar entre 0 y 100 (exclusivo)' };
+    }
+    if (vistos.has(minutos)) return { error: `minutos_antes repetido: ${minutos}` };
+    vistos.add(minutos);
+    value.push({ minutos_antes: minutos, descuento_porcentaje: Math.round(descuento * 100) / 100 });
+  }
+  value.sort((a, b) => b.minutos_antes - a.minutos_antes);
+  return { value };
+};
+
+const getRebajas = async (db, comidaId) => {
+  const { rows } = await db.query(
+    `SELECT minutos_antes, descuento_porcentaje::float AS descuento_porcentaje
+     FROM comida_rebajas WHERE comida_id = $1
+     ORDER BY minutos_antes DESC`,
+    [comidaId]
+  );
+  return rows;
+};
 
 // Evita repetir try/catch
 const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
-// Ordenamiento seguro
-const parseSort = (orderByRaw, orderRaw) => {
-  const whitelist = { id: 'id', nombre: 'nombre', precio: 'precio' };
+// Ordenamiento seguro (distancia/relevancia solo si la búsqueda trae ubicación/texto)
+const parseSort = (orderByRaw, orderRaw, { conDistancia = false, conTexto = false } = {}) => {
+  const whitelist = {
+    id: 'id', nombre: 'nombre', precio: 'precio',
+    precio_vigente: 'precio_vigente', descuento: 'descuento_porcentaje',
+    ...(conDistancia && { distancia: 'distancia_km' }),
+    ...(conTexto && { relevancia: 'relevancia' })
+  };
   const key = whitelist[norm(orderByRaw).toLowerCase()] || 'id';
-  const dir = norm(orderRaw).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  const orderNorm = norm(orderRaw).toLowerCase();
+  // Por distancia, sin order explícito va de la más cercana a la más lejana
+  const dir = orderNorm === 'asc' || (!orderNorm && key === 'distancia_km') ? 'ASC' : 'DESC';
   return { key, dir };
 };
 
+// ?lat=&lng=&radio_km= → { value: { lat, lng, radioKm } | null } o { error }
+const parseUbicacion = (query) => {
+  const lat = norm(query.lat);
+  const lng = norm(query.lng);
+  const radio = norm(query.radio_km);
+  if (!lat && !lng && !radio) return { value: null };
+
+  const latN = Number(lat);
+  const lngN = Number(lng);
+  if (!lat || !lng || !Number.isFinite(latN) || !Number.isFinite(lngN) ||
+      Math.abs(latN) > 90 || Math.abs(lngN) > 180) {
+    return { error: 'lat y lng son requeridos y deben ser coordenadas válidas' };
+  }
+
+  let radioKm = null;
+  if (radio) {
+    radioKm = Number(radio);
+    if (!Number.isFinite(radioKm) || radioKm <= 0 || radioKm > MAX_RADIO_KM) {
+      return { error: `radio_km debe ser un número entre 0 y ${MAX_RADIO_KM}` };
+    }
+  }
+  return { value: { lat: latN, lng: lngN, radioKm } };
+};
+
 // Respuesta de error consistente
 const badRequest = (res, mensaje) => res.status(400).json({ mensaje });
 
+// Un vendedor solo gestiona sus propias comidas; el admin gestiona todas
+const requireComidaOwner = asyncHandler(async (req, res, next) => {
+  if (!req.vendedorId) return next();
+
+  const id = toIntPos(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
+
+  const { rows } = await pool.query('SELECT vendedor_id FROM comidas WHERE id = $1', [id]);
+  if (rows.length === 0) return res.status(404).json({ mensaje: 'Comida no encontrada' });
+  if (rows[0].vendedor_id !== req.vendedorId) {
+    return res.status(403).json({
+      mensaje: 'Solo puedes gestionar tus propias comidas',
+      codigo: 'NO_ES_PROPIETARIO'
+    });
+  }
+  next();
+});
+
+// Solo el admin puede asignar vendedor_id desde el body
+const parseVendedorIdBody = async (req) => {
+  if (req.vendedorId || req.body?.vendedor_id === undefined) return { value: undefined };
+  if (req.body.vendedor_id === null || req.body.vendedor_id === '') return { value: null };
+
+  const id = toIntPos(req.body.vendedor_id);
+  if (id === null) return { error: 'vendedor_id inválido' };
+  const { rows } = await pool.query('SELECT 1 FROM vendedores WHERE id = $1', [id]);
+  if (rows.length === 0) return { error: 'El vendedor no existe' };
+  return { value: id };
+};
+
+/**
+ * Valida una comida completa (POST, PUT y cada fila del import CSV).
+ * Devuelve { value } con las columnas listas para guardar, o { error }.
+ */
+const parseComidaBody = async (body) => {
+  const nombre = norm(body?.nombre);
+  const descripcion = norm(body?.descripcion);
+  const precio = toPrecio(body?.precio);
+  const imagen = norm(body?.imagen);
+
+  if (!nombre || nombre.length > 120) {
+    return { error: 'El nombre es requerido y debe tener ≤ 120 caracteres' };
+  }
+  if (descripcion.length > MAX_DESCRIPCION) {
+    return { error: `La descripción debe tener ≤ ${MAX_DESCRIPCION} caracteres` };
+  }
+  if (precio === null) return { error: 'El precio es requerido y debe ser un número ≥ 0' };
+  if (imagen && !isValidImageUrl(imagen)) return { error: 'La URL de la imagen no es válida' };
+
+  const categoria = await parseCategoria(body);
+  if (categoria.error) return { error: categoria.error };
+
+  const stock = toStock(body?.cantidad_disponible ?? null);
+  if (stock.error) return { error: stock.error };
+
+  const etiquetas = parseEtiquetas(body?.etiquetas ?? null);
+  if (etiquetas.error) return { error: etiquetas.error };
+
+  const fechas = parseFechasBody(body);
+  if (fechas.error) return { error: fechas.error };
+  const { retiro_desde = null, retiro_hasta = null, consumir_antes = null } = fechas.value;
+
+  const sku = parseSku(body?.sku);
+  if (sku.error) return { error: sku.error };
+
+  return {
+    value: {
+      sku: sku.value,
+      nombre,
+      descripcion: descripcion || null,
+      categoria_id: categoria.value ?? null,
+      precio,
+      imagen: imagen || null,
+      cantidad_disponible: stock.value,
+      etiquetas: etiquetas.value,
+      retiro_desde,
+      retiro_hasta,
+      consumir_antes
+    }
+  };
+};
+
+/**
+ * Filtros de facetas del listado:
+ * precio_min/precio_max (sobre el precio vigente), descuento_min, vendedor_id,
+ * etiquetas (todas deben estar) y disponible (con stock).
+ */
+const parseFiltros = (query) => {
+  const f = {};
+  const leer = (k) => (query[k] === undefined ? '' : norm(String(query[k])));
+
+  if (leer('precio_min')) {
+    f.precioMin = toPrecio(leer('precio_min'));
+    if (f.precioMin === null) return { error: 'precio_min debe ser un número ≥ 0' };
+  }
+  if (leer('precio_max')) {
+    f.precioMax = toPrecio(leer('precio_max'));
+    if (f.precioMax === null) return { error: 'precio_max debe ser un número ≥ 0' };
+  }
+  if (f.precioMin !== undefined && f.precioMax !== undefined && f.precioMin > f.precioMax) {
+    return { error: 'precio_min no puede ser mayor que precio_max' };
+  }
+  if (leer('descuento_min')) {
+    f.descuentoMin = Number(leer('descuento_min'));
+    if (!Number.isFinite(f.descuentoMin) || f.descuentoMin < 0 || f.descuentoMin > 100) {
+      return { error: 'descuento_min debe estar entre 0 y 100' };
+    }
+  }
+  if (leer('vendedor_id')) {
+    f.vendedorId = toIntPos(leer('vendedor_id'));
+    if (f.vendedorId === null) return { error: 'vendedor_id inválido' };
+  }
+  if (leer('etiquetas')) {
+    const etiquetas = parseEtiquetas(leer('etiquetas'));
+    if (etiquetas.error) return { error: etiquetas.error };
+    f.etiquetas = etiquetas.value;
+  }
+  if (leer('disponible')) f.disponible = isTrue(leer('disponible'));
+  return { value: f };
+};
+
+const etiquetaRangoPrecio = (i) => ({
+  desde: i === 0 ? 0 : RANGOS_PRECIO[i - 1],
+  hasta: i < RANGOS_PRECIO.length ? RANGOS_PRECIO[i] : null
+});
+
+/**
+ * Total y conteos por categoría, vendedor, etiqueta y rango de precio sobre
+ * las mismas filas filtradas del listado (`fromWhere` = FROM ... WHERE ...).
+ */
+const getFacetas = async (fromWhere, params) => {
+  const { rows } = await pool.query(
+    `WITH filtradas AS (
+       SELECT comidas.categoria_id, comidas.categoria, comidas.vendedor_id, comidas.etiquetas,
+              width_bucket(precio_vigente(comidas.precio, comidas.id, comidas.retiro_hasta),
+                           $${params.length + 1}::numeric[]) AS rango
+       ${fromWhere}
+     )
+     SELECT
+       (SELECT COUNT(*)::int FROM filtradas) AS total,
+       (SELECT COALESCE(json_agg(x ORDER BY x.total DESC, x.categoria), '[]')
+          FROM (SELECT categoria_id, categoria, COUNT(*)::int AS total
+                FROM filtradas GROUP BY categoria_id, categoria) x
+       ) AS categorias,
+       (SELECT COALESCE(json_agg(x ORDER BY x.total DESC, x.nombre_comercial), '[]')
+          FROM (SELECT f.vendedor_id, v.nombre_comercial, COUNT(*)::int AS total
+                FROM filtradas f LEFT JOIN vendedores v ON v.id = f.vendedor_id
+                GROUP BY f.vendedor_id, v.nombre_comercial) x
+       ) AS vendedores,
+       (SELECT COALESCE(json_agg(x ORDER BY x.total DESC, x.etiqueta), '[]')
+          FROM (SELECT e AS etiqueta, COUNT(*)::int AS total
+                FROM filtradas, unnest(etiquetas) AS e GROUP BY e) x
+       ) AS etiquetas,
+       (SELECT COALESCE(json_object_agg(rango, total), '{}')
+          FROM (SELECT rango, COUNT(*)::int AS total FROM filtradas GROUP BY rango) x
+       ) AS rangos`,
+    [...params, RANGOS_PRECIO]
+  );
+
+  const { total, categorias, vendedores, etiquetas, rangos } = rows[0];
+  const precios = [...RANGOS_PRECIO, null].map((_, i) => ({
+    ...etiquetaRangoPrecio(i),
+    total: rangos[i] || 0
+  }));
+  return { total, categorias, vendedores, etiquetas, precios };
+};
+
 /* =================== Rutas =================== */
 /**
- * GET /api/comidas
- * Filtros:
- *  - ?categoria=Almuerzo
- *  - ?q=pollo
- *  - ?limit=10&offset=0
- *  - ?orderBy=precio|nombre|id  & order=asc|desc
- * Respuesta: { items: [...], meta: { total, limit, offset, orderBy, order } }
+ * Filtros del catálogo (los de GET /comidas salvo orden y paginación),
+ * compartidos con la exportación CSV.
+ * Devuelve { error } o { where, params, q, tsq, geo, distanciaSql }.
  */
-router.get('/comidas', asyncHandler(async (req, res) => {
-  const categoria = norm(req.query.categoria);
+const buildFiltroCatalogo = async (req) => {
   const q = norm(req.query.q);
 
-  let limit = toIntPos(req.query.limit);
-  let offset = toIntPos(req.query.offset);
-  limit = limit === null ? DEFAULT_LIMIT : Math.min(limit, MAX_LIMIT);
-  offset = offset === null ? DEFAULT_OFFSET : offset;
+  const ubicacion = parseUbicacion(req.query);
+  if (ubicacion.error) return { error: ubicacion.error };
+  const geo = ubicacion.value;
 
-  const { key: orderBy, dir: order } = parseSort(req.query.orderBy, req.query.order);
+  const categoria = await parseCategoria(req.query);
+  if (categoria.error) return { error: categoria.error };
 
-  if (categoria && !isCategoriaValida(categoria)) {
-    return badRequest(res, 'Categoría inválida');
-  }
+  const filtros = parseFiltros(req.query);
+  if (filtros.error) return { error: filtros.error };
+  const f = filtros.value;
 
-  const where = [];
+  const esAdmin = hasRole(req.user, [ROLES.ADMIN]);
+  const archivadas = isTrue(req.query.archivadas) && esAdmin;
+  const incluirVencidas = (isTrue(req.query.incluir_vencidas) && esAdmin) || archivadas;
+
+  const where = [archivadas ? 'archivado_en IS NOT NULL' : 'archivado_en IS NULL'];
   const params = [];
 
-  if (categoria) {
-    params.push(categoria);
-    where.push(`categoria = $${params.length}`);
+  if (!incluirVencidas) where.push(comidaVigenteSql('comidas'));
+
+  if (categoria.value) {
+    params.push(categoria.value);
+    where.push(`categoria_id IN (SELECT categoria_descendientes($${params.length}))`);
+  }
+  if (f.precioMin !== undefined) {
+    params.push(f.precioMin);
+    where.push(`precio_vigente(precio, id, retiro_hasta) >= $${params.length}`);
+  }
+  if (f.precioMax !== undefined) {
+    params.push(f.precioMax);
+    where.push(`precio_vigente(precio, id, retiro_hasta) <= $${params.length}`);
   }
+  if (f.descuentoMin !== undefined) {
+    params.push(f.descuentoMin);
+    where.push(`descuento_vigente(id, retiro_hasta) >= $${params.length}`);
+  }
+  if (f.vendedorId !== undefined) {
+    params.push(f.vendedorId);
+    where.push(`vendedor_id = $${params.length}`);
+  }
+  if (f.etiquetas?.length) {
+    params.push(f.etiquetas);
+    where.push(`etiquetas @> $${params.length}::text[]`);
+  }
+  if (f.disponible) {
+    where.push('(cantidad_disponible IS NULL OR cantidad_disponible > 0)');
+  }
+
+  let tsq = null;
   if (q) {
-    params.push(`%${q}%`);
-    where.push(`nombre ILIKE $${params.length}`);
+    params.push(q);
+    tsq = `websearch_to_tsquery('es_unaccent', $${params.length})`;
+    where.push(`busqueda @@ ${tsq}`);
+  }
+
+  // La distancia se calcula en Postgres para que el filtro por radio,
+  // el orden y COUNT(*) OVER() vean las mismas filas
+  let distanciaSql = '';
+  if (geo) {
+    params.push(geo.lat, geo.lng);
+    distanciaSql = `
+    LEFT JOIN LATERAL (
+      SELECT distancia_km($${params.length - 1}, $${params.length}, v.latitud, v.longitud) AS distancia_km
+      FROM vendedores v WHERE v.id = comidas.vendedor_id
+    ) d ON TRUE`;
+    if (geo.radioKm !== null) {
+      params.push(geo.radioKm);
+      where.push(`d.distancia_km <= $${params.length}`);
+    }
+  }
+
+  return { where, params, q, tsq, geo, distanciaSql };
+};
+
+/**
+ * GET /api/comidas
+ * Filtros:
+ *  - ?categoria_id=2 o ?categoria=Almuerzo (nombre o slug); incluye sus subcategorías
+ *  - ?q=pollo (texto completo en español sin acentos sobre nombre, descripción,
+ *    categoría y vendedor; cada item trae relevancia y resaltado con <mark>)
+ *  - ?limit=10&cursor=<meta.next_cursor>  (orden estable por clave + id)
+ *  - ?orderBy=precio|precio_vigente|descuento|nombre|id|distancia|relevancia  & order=asc|desc
+ *  - ?con_total=true (agrega meta.total)
+ *  - ?precio_min=5&precio_max=20 (precio vigente)  ?descuento_min=30
+ *  - ?vendedor_id=3  ?etiquetas=vegano,sin_gluten (todas)  ?disponible=true (con stock)
+ *  - ?incluir_vencidas=true (solo admin; por defecto se ocultan las vencidas)
+ *  - ?archivadas=true (solo admin; lista las archivadas, vencidas o no, en lugar de las activas)
+ *  - ?lat=-17.78&lng=-63.18&radio_km=5 (cercanía al punto de retiro del vendedor;
+ *    cada item trae distancia_km, null si el vendedor no tiene ubicación)
+ * Respuesta: { items: [...], meta: { limit, orderBy, order, next_cursor, total?, facetas } }
+ * facetas: { categorias, vendedores, etiquetas, precios } con el total de cada valor
+ */
+router.get('/comidas', optionalAuth, asyncHandler(async (req, res) => {
+  const limit = Math.min(toIntPos(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const conTotal = quiereTotal(req.query.con_total);
+
+  const filtro = await buildFiltroCatalogo(req);
+  if (filtro.error) return badRequest(res, filtro.error);
+  const { where, params, q, tsq, geo, distanciaSql } = filtro;
+
+  const { key: orderBy, dir: order } = parseSort(req.query.orderBy, req.query.order, {
+    conDistancia: !!geo,
+    conTexto: !!q
+  });
+
+  let textoSql = '';
+  let relevanciaSql = null;
+  if (q) {
+    relevanciaSql = `ts_rank_cd(busqueda, ${tsq})`;
+    textoSql = ` ${relevanciaSql} AS relevancia,
+           ts_headline('es_unaccent', nombre || COALESCE(' — ' || descripcion, ''), ${tsq},
+                       'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10') AS resaltado,`;
+  }
+
+  let fromWhere = `FROM comidas${distanciaSql}`;
+  if (where.length) fromWhere += ` WHERE ${where.join(' AND ')}`;
+  const filtroParams = [...params];
+
+  // Expresión de orden; sin distancia conocida va al final
+  const ordenSql = {
+    precio_vigente: 'precio_vigente(precio, id, retiro_hasta)',
+    descuento_porcentaje: 'descuento_vigente(id, retiro_hasta)',
+    distancia_km: "COALESCE(d.distancia_km, 'Infinity')",
+    relevancia: relevanciaSql
+  }[orderBy] || orderBy;
+  const orden = `${orderBy}:${order}`;
+
+  const cursor = parseCursor(req.query.cursor, orden);
+  if (cursor.error) return badRequest(res, cursor.error);
+  if (cursor.value) {
+    where.push(cursorWhere(ordenSql, 'id', order, cursor.value, params));
   }
 
   // Incluimos el campo imagen en el SELECT
   let sql = `
-    SELECT id, nombre, categoria, precio, imagen,
-           COUNT(*) OVER() AS total
-    FROM comidas
+    SELECT ${COLUMNAS},${geo ? ' d.distancia_km,' : ''}${textoSql}
+           (${ordenSql})::text AS cursor_valor
+    FROM comidas${distanciaSql}
   `;
   if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
-  params.push(limit, offset);
-  sql += ` ORDER BY ${orderBy} ${order} LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  params.push(limit + 1);
+  sql += ` ORDER BY ${ordenSql} ${order}, id ${order} LIMIT $${params.length}`;
 
-  const { rows } = await pool.query(sql, params);
-  const total = rows[0]?.total ? Number(rows[0].total) : 0;
-  const items = rows.map(({ total: _t, ...r }) => mapPrecioNumber(r));
+  const [{ rows }, { total, ...facetas }] = await Promise.all([
+    pool.query(sql, params),
+    getFacetas(fromWhere, filtroParams)
+  ]);
+  const { items: pagina, next_cursor } = paginar(rows, limit, orden);
+  const items = pagina.map((r) => {
+    const item = mapPrecioNumber(r);
+    if (geo) {
+      item.distancia_km = r.distancia_km === null ? null : Math.round(r.distancia_km * 100) / 100;
+    }
+    if (q) item.relevancia = Math.round(r.relevancia * 10000) / 10000;
+    return item;
+  });
 
   res.json({
     items,
-    meta: { total, limit, offset, orderBy, order }
+    meta: {
+      limit,
+      orderBy,
+      order,
+      next_cursor,
+      ...(conTotal && { total }),
+      facetas
+    }
   });
 }));
 
+/* =================== Importación / exportación CSV =================== */
+const MAX_FILAS_IMPORTACION = 1000;
+const MAX_FILAS_EXPORTACION = 10000;
+
+// Columnas del CSV (categoria = nombre o slug; etiquetas separadas por comas)
+const COLUMNAS_CSV = ['sku', 'nombre', 'descripcion', 'categoria', 'precio', 'imagen',
+  'cantidad_disponible', 'etiquetas', 'retiro_desde', 'retiro_hasta', 'consumir_antes'];
+const COLUMNAS_CSV_REQUERIDAS = ['sku', 'nombre', 'precio'];
+// Se exportan como referencia; al importar se ignoran
+const COLUMNAS_CSV_SOLO_EXPORT = ['id', 'vendedor_id'];
+
+const csvText = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
 /**
- * GET /api/comidas/:id
+ * Valida encabezado y filas del CSV.
+ * Devuelve { error } si el archivo no se puede leer, o { encabezado, total, validas, errores }
+ * con validas = [{ fila, sku, comida }] y errores = [{ fila, sku, mensaje }].
  */
-router.get('/comidas/:id', asyncHandler(async (req, res) => {
+const parseImportacion = async (texto) => {
+  const csv = parseCsv(texto);
+  if (csv.error) return { error: csv.error };
+  const [primera = [], ...datos] = csv.value;
+
+  const encabezado = primera.map((c) => norm(c).toLowerCase());
+  const desconocidas = encabezado.filter(
+    (c) => !COLUMNAS_CSV.includes(c) && !COLUMNAS_CSV_SOLO_EXPORT.includes(c)
+  );
+  if (desconocidas.length) return { error: `Columnas desconocidas: ${desconocidas.join(', ')}` };
+  const faltantes = COLUMNAS_CSV_REQUERIDAS.filter((c) => !encabezado.includes(c));
+  if (faltantes.length) return { error: `Faltan columnas requeridas: ${faltantes.join(', ')}` };
+  if (new Set(encabezado).size !== encabezado.length) return { error: 'Hay columnas repetidas' };
+
+  if (datos.length === 0) return { error: 'El CSV no tiene filas de datos' };
+  if (datos.length > MAX_FILAS_IMPORTACION) {
+    return { error: `Se pueden importar hasta ${MAX_FILAS_IMPORTACION} filas por archivo` };
+  }
+
+  const validas = [];
+  const errores = [];
+  const skus = new Set();
+  for (const [i, celdas] of datos.entries()) {
+    const fila = i + 2; // la 1 es el encabezado
+    if (celdas.length !== encabezado.length) {
+      errores.push({ fila, sku: null, mensaje: `Se esperaban ${encabezado.length} columnas y hay ${celdas.length}` });
+      continue;
+    }
+
+    // Celda vacía = sin valor (igual que null en el JSON)
+    const body = Object.fromEntries(encabezado.map((c, k) => [c, celdas[k].trim() === '' ? null : celdas[k]]));
+    const sku = norm(body.sku ?? '');
+    if (!sku) {
+      errores.push({ fila, sku: null, mensaje: 'sku es requerido' });
+      continue;
+    }
+    if (skus.has(sku)) {
+      errores.push({ fila, sku, mensaje: 'sku repetido en el archivo' });
+      continue;
+    }
+    skus.add(sku);
+
+    const parsed = await parseComidaBody(body);
+    if (parsed.error) errores.push({ fila, sku, mensaje: parsed.error });
+    else validas.push({ fila, sku, comida: parsed.value });
+  }
+
+  return { encabezado, total: datos.length, validas, errores };
+};
+
+/**
+ * POST /api/comidas/importar   (Content-Type: text/csv)
+ * Query: dry_run=true (solo valida), vendedor_id (solo admin; por defecto sin vendedor)
+ * Cada fila se valida con las mismas reglas que POST /api/comidas y se hace upsert por
+ * sku dentro del negocio: si el sku ya existe se actualizan solo las columnas del archivo.
+ * Un sku de una comida archivada es un error de su fila (solo un admin la puede restaurar).
+ * Todo o nada: con cualquier fila inválida no se importa ninguna.
+ * Respuesta: { dry_run, filas, crear, actualizar, errores: [{ fila, sku, mensaje }] }
+ */
+router.post('/comidas/importar', authorize('POST /comidas/importar'), requireVerifiedVendor, loadVendedor, csvText, asyncHandler(async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return badRequest(res, 'Envía el catálogo como CSV (Content-Type: text/csv)');
+  }
+  const dryRun = isTrue(req.query.dry_run);
+
+  let vendedorId = req.vendedorId || null;
+  if (!req.vendedorId && norm(req.query.vendedor_id)) {
+    vendedorId = toIntPos(req.query.vendedor_id);
+    const { rows } = vendedorId === null
+      ? { rows: [] }
+      : await pool.query('SELECT 1 FROM vendedores WHERE id = $1', [vendedorId]);
+    if (rows.length === 0) return badRequest(res, 'El vendedor no existe');
+  }
+
+  const importacion = await parseImportacion(req.body);
+  if (importacion.error) return badRequest(res, importacion.error);
+  const { encabezado, total } = importacion;
+
+  const { rows: existentes } = await pool.query(
+    `SELECT sku, archivado_en IS NOT NULL AS archivada FROM comidas
+     WHERE COALESCE(vendedor_id, 0) = $1 AND sku = ANY($2::text[])`,
+    [vendedorId ?? 0, importacion.validas.map((v) => v.sku)]
+  );
+  const yaExisten = new Set(existentes.map((r) => r.sku));
+  const archivadas = new Set(existentes.filter((r) => r.archivada).map((r) => r.sku));
+  const validas = importacion.validas.filter((v) => !archivadas.has(v.sku));
+  const errores = [
+    ...importacion.errores,
+    ...importacion.validas
+      .filter((v) => archivadas.has(v.sku))
+      .map(({ fila, sku }) => ({ fila, sku, mensaje: 'La comida de este sku está archivada; un admin debe restaurarla' }))
+  ].sort((a, b) => a.fila - b.fila);
+  const resumen = {
+    dry_run: dryRun,
+    filas: total,
+    crear: validas.filter((v) => !yaExisten.has(v.sku)).length,
+    actualizar: validas.filter((v) => yaExisten.has(v.sku)).length,
+    errores
+  };
+
+  if (errores.length && !dryRun) {
+    return res.status(400).json({ mensaje: 'El CSV tiene errores; no se importó ninguna fila', ...resumen });
+  }
+  if (dryRun) return res.json(resumen);
+
+  // Solo se escriben las columnas presentes en el archivo
+  const columnas = COLUMNAS_CSV
+    .filter((c) => c !== 'sku' && encabezado.includes(c))
+    .map((c) => (c === 'categoria' ? 'categoria_id' : c));
+  const placeholders = columnas.map((_c, k) => `$${k + 3}`).join(', ');
+  const sql = `
+    INSERT INTO comidas (sku, vendedor_id, ${columnas.join(', ')})
+    VALUES ($1, $2, ${placeholders})
+    ON CONFLICT ((COALESCE(vendedor_id, 0)), sku) WHERE sku IS NOT NULL
+    DO UPDATE SET ${columnas.map((c) => `${c} = EXCLUDED.${c}`).join(', ')}
+    RETURNING id, (xmax = 0) AS creado`;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    let creadas = 0;
+    for (const v of validas) {
+      const { rows: previa } = await client.query(
+        `SELECT to_jsonb(c) AS fila FROM comidas c
+         WHERE COALESCE(vendedor_id, 0) = $1 AND sku = $2 FOR UPDATE`,
+        [vendedorId ?? 0, v.sku]
+      );
+      const { rows } = await client.query(sql, [v.sku, vendedorId, ...columnas.map((c) => v.comida[c])]);
+      if (rows[0].creado) creadas++;
+      await registrarAuditoria(client, req, {
+        accion: 'importar',
+        entidad: 'comida',
+        entidadId: rows[0].id,
+        antes: previa[0]?.fila,
+        despues: await leerFila(client, 'comida', rows[0].id)
+      });
+    }
+
+    await client.query('COMMIT');
+    res.json({ ...resumen, crear: creadas, actualizar: validas.length - creadas });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}));
+
+/**
+ * GET /api/comidas/exportar
+ * Mismos filtros que GET /api/comidas (sin paginación; hasta MAX_FILAS_EXPORTACION filas,
+ * ordenadas por id). Devuelve un CSV con las columnas del import más id y vendedor_id.
+ */
+router.get('/comidas/exportar', optionalAuth, asyncHandler(async (req, res) => {
+  const filtro = await buildFiltroCatalogo(req);
+  if (filtro.error) return badRequest(res, filtro.error);
+  const { where, params, distanciaSql } = filtro;
+
+  params.push(MAX_FILAS_EXPORTACION);
+  const { rows } = await pool.query(
+    `SELECT id, vendedor_id, sku, nombre, descripcion, categoria, precio, imagen, cantidad_disponible,
+            array_to_string(etiquetas, ',') AS etiquetas, retiro_desde, retiro_hasta, consumir_antes
+     FROM comidas${distanciaSql}
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY id
+     LIMIT $${params.length}`,
+    params
+  );
+
+  res
+    .type('text/csv; charset=utf-8')
+    .attachment('comidas.csv')
+    .send(toCsv([...COLUMNAS_CSV_SOLO_EXPORT, ...COLUMNAS_CSV], rows));
+}));
+
+/**
+ * GET /api/comidas/:id   (las archivadas solo las ve el admin)
+ */
+router.get('/comidas/:id', optionalAuth, asyncHandler(async (req, res) => {
   const id = toIntPos(req.params.id);
   if (id === null) return badRequest(res, 'ID inválido');
 
   const { rows } = await pool.query(
-    'SELECT id, nombre, categoria, precio, imagen FROM comidas WHERE id = $1',
+    `SELECT ${COLUMNAS} FROM comidas WHERE id = $1`,
     [id]
   );
+  if (rows.length === 0 || (rows[0].archivado_en && !hasRole(req.user, [ROLES.ADMIN]))) {
+    return res.status(404).json({ mensaje: 'Comida no encontrada' });
+  }
+
+  const [rebajas, imagenes] = await Promise.all([getRebajas(pool, id), getImagenes(pool, id)]);
+  res.json({ ...mapPrecioNumber(rows[0]), rebajas, imagenes });
+}));
+
+/**
+ * GET /api/comidas/:id/rebajas
+ * Respuesta: { comida_id, tramos: [{ minutos_antes, descuento_porcentaje }] }
+ */
+router.get('/comidas/:id/rebajas', asyncHandler(async (req, res) => {
+  const id = toIntPos(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
+
+  const { rows } = await pool.query('SELECT 1 FROM comidas WHERE id = $1', [id]);
   if (rows.length === 0) return res.status(404).json({ mensaje: 'Comida no encontrada' });
 
-  res.json(mapPrecioNumber(rows[0]));
+  res.json({ comida_id: id, tramos: await getRebajas(pool, id) });
 }));
 
 /**
- * POST /api/comidas
- * Body: { nombre, categoria?, precio, imagen? }
+ * PUT /api/comidas/:id/rebajas   (reemplaza el calendario completo)
+ * Body: { tramos: [{ minutos_antes, descuento_porcentaje }] }
+ * Ej.: 30% desde 120 min antes del cierre y 60% en los últimos 30 min:
+ *   { tramos: [{ minutos_antes: 120, descuento_porcentaje: 30 },
+ *              { minutos_antes: 30, descuento_porcentaje: 60 }] }
+ * Lista vacía = sin rebajas.
  */
-router.post('/comidas', asyncHandler(async (req, res) => {
-  const nombre = norm(req.body?.nombre);
-  const categoria = norm(req.body?.categoria);
-  const precio = toPrecio(req.body?.precio);
-  const imagen = norm(req.body?.imagen);
+router.put('/comidas/:id/rebajas', authorize('PUT /comidas/:id/rebajas'), requireVerifiedVendor, loadVendedor, requireComidaOwner, asyncHandler(async (req, res) => {
+  const id = toIntPos(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
 
-  if (!nombre || nombre.length > 120) {
-    return badRequest(res, 'El nombre es requerido y debe tener ≤ 120 caracteres');
+  const tramos = parseTramosRebaja(req.body?.tramos);
+  if (tramos.error) return badRequest(res, tramos.error);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query('SELECT id FROM comidas WHERE id = $1 FOR UPDATE', [id]);
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ mensaje: 'Comida no encontrada' });
+    }
+
+    const anteriores = await getRebajas(client, id);
+    await client.query('DELETE FROM comida_rebajas WHERE comida_id = $1', [id]);
+    for (const t of tramos.value) {
+      await client.query(
+        `INSERT INTO comida_rebajas (comida_id, minutos_antes, descuento_porcentaje)
+         VALUES ($1, $2, $3)`,
+        [id, t.minutos_antes, t.descuento_porcentaje]
+      );
+    }
+    await registrarAuditoria(client, req, {
+      accion: 'rebajas',
+      entidad: 'comida',
+      entidadId: id,
+      antes: { rebajas: anteriores },
+      despues: { rebajas: await getRebajas(client, id) }
+    });
+
+    const { rows: comida } = await client.query(`SELECT ${COLUMNAS} FROM comidas WHERE id = $1`, [id]);
+    await client.query('COMMIT');
+
+    res.json({ ...mapPrecioNumber(comida[0]), rebajas: tramos.value });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
-  if (precio === null) {
-    return badRequest(res, 'El precio es requerido y debe ser un número ≥ 0');
+}));
+
+/* =================== Imágenes subidas =================== */
+const COLUMNAS_IMAGEN = 'id, url, tipo, tamano_bytes, es_principal, fecha_creacion';
+
+const getImagenes = async (db, comidaId) => {
+  const { rows } = await db.query(
+    `SELECT ${COLUMNAS_IMAGEN} FROM comida_imagenes
+     WHERE comida_id = $1 ORDER BY es_principal DESC, id`,
+    [comidaId]
+  );
+  return rows;
+};
+
+/**
+ * comidas.imagen pasa a ser la URL de la imagen principal. Si no queda ninguna
+ * subida se conserva la URL externa, salvo que fuera `urlBorrada`.
+ */
+const syncImagenPrincipal = async (client, comidaId, urlBorrada = null) => {
+  await client.query(
+    `UPDATE comidas
+     SET imagen = COALESCE(
+       (SELECT url FROM comida_imagenes WHERE comida_id = $1 AND es_principal),
+       NULLIF(imagen, $2)
+     )
+     WHERE id = $1`,
+    [comidaId, urlBorrada]
+  );
+};
+
+// Imagen de los listados y subidas de la comida, para la auditoría
+const estadoImagenes = async (db, comidaId) => {
+  const { rows } = await db.query('SELECT imagen FROM comidas WHERE id = $1', [comidaId]);
+  const imagenes = await getImagenes(db, comidaId);
+  return {
+    imagen: rows[0]?.imagen ?? null,
+    imagenes: imagenes.map(({ id, url, es_principal }) => ({ id, url, es_principal }))
+  };
+};
+
+const lockComida = async (client, id) => {
+  const { rows } = await client.query('SELECT id FROM comidas WHERE id = $1 FOR UPDATE', [id]);
+  return rows.length > 0;
+};
+
+/**
+ * GET /api/comidas/:id/imagenes
+ * Respuesta: { comida_id, imagenes: [{ id, url, tipo, tamano_bytes, es_principal, fecha_creacion }] }
+ */
+router.get('/comidas/:id/imagenes', asyncHandler(async (req, res) => {
+  const id = toIntPos(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
+
+  const { rows } = await pool.query('SELECT 1 FROM comidas WHERE id = $1', [id]);
+  if (rows.length === 0) return res.status(404).json({ mensaje: 'Comida no encontrada' });
+
+  res.json({ comida_id: id, imagenes: await getImagenes(pool, id) });
+}));
+
+/**
+ * POST /api/comidas/:id/imagenes   (multipart/form-data)
+ * Campos: imagenes (uno o varios archivos JPEG, PNG, GIF o WebP), principal? (true = la
+ * primera enviada pasa a ser la principal). La primera imagen de una comida siempre es principal.
+ */
+router.post('/comidas/:id/imagenes', authorize('POST /comidas/:id/imagenes'), requireVerifiedVendor, loadVendedor, requireComidaOwner, recibirImagenes, asyncHandler(async (req, res) => {
+  const id = toIntPos(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
+
+  const archivos = (req.files || []).map((f) => ({ ...f, detectado: detectImageType(f.buffer) }));
+  if (archivos.length === 0) return badRequest(res, 'Adjunta al menos una imagen en el campo "imagenes"');
+
+  const invalido = archivos.find((f) => !f.detectado);
+  if (invalido) {
+    return res.status(415).json({
+      mensaje: `"${invalido.originalname}" no es una imagen JPEG, PNG, GIF o WebP`,
+      codigo: 'TIPO_NO_SOPORTADO'
+    });
+  }
+
+  const storage = getStorage();
+  const guardadas = [];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (!await lockComida(client, id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ mensaje: 'Comida no encontrada' });
+    }
+
+    const { rows: conteo } = await client.query(
+      'SELECT COUNT(*)::int AS total FROM comida_imagenes WHERE comida_id = $1',
+      [id]
+    );
+    const total = conteo[0].total;
+    if (total + archivos.length > MAX_IMAGENES_POR_COMIDA) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        mensaje: `Una comida puede tener como máximo ${MAX_IMAGENES_POR_COMIDA} imágenes (tiene ${total})`,
+        codigo: 'LIMITE_IMAGENES'
+      });
+    }
+
+    const antes = await estadoImagenes(client, id);
+    const marcarPrincipal = total === 0 || isTrue(req.body?.principal);
+    if (marcarPrincipal) {
+      await client.query('UPDATE comida_imagenes SET es_principal = FALSE WHERE comida_id = $1', [id]);
+    }
+
+    for (const [i, f] of archivos.entries()) {
+      const clave = `comidas/${id}/${crypto.randomUUID()}.${f.detectado.ext}`;
+      const { url } = await storage.save({ clave, buffer: f.buffer, tipo: f.detectado.tipo });
+      guardadas.push(clave);
+      await client.query(
+        `INSERT INTO comida_imagenes (comida_id, clave, url, tipo, tamano_bytes, es_principal)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [id, clave, url, f.detectado.tipo, f.size, marcarPrincipal && i === 0]
+      );
+    }
+
+    await syncImagenPrincipal(client, id);
+    await registrarAuditoria(client, req, {
+      accion: 'agregar_imagenes',
+      entidad: 'comida',
+      entidadId: id,
+      antes,
+      despues: await estadoImagenes(client, id)
+    });
+    const imagenes = await getImagenes(client, id);
+    await client.query('COMMIT');
+
+    res.status(201).json({ comida_id: id, imagenes });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await removeFiles(guardadas);
+    throw err;
+  } finally {
+    client.release();
   }
-  if (!isCategoriaValida(categoria)) {
-    return badRequest(res, 'Categoría inválida');
+}));
+
+/**
+ * PUT /api/comidas/:id/imagenes/:imagenId/principal
+ * Marca la imagen como principal (la anterior deja de serlo).
+ */
+router.put('/comidas/:id/imagenes/:imagenId/principal', authorize('PUT /comidas/:id/imagenes/:imagenId/principal'), requireVerifiedVendor, loadVendedor, requireComidaOwner, asyncHandler(async (req, res) => {
+  const id = toIntPos(req.params.id);
+  const imagenId = toIntPos(req.params.imagenId);
+  if (id === null || imagenId === null) return badRequest(res, 'ID inválido');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await lockComida(client, id);
+    const { rows } = await client.query(
+      'SELECT 1 FROM comida_imagenes WHERE id = $1 AND comida_id = $2',
+      [imagenId, id]
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ mensaje: 'Imagen no encontrada' });
+    }
+
+    const antes = await estadoImagenes(client, id);
+    await client.query(
+      'UPDATE comida_imagenes SET es_principal = FALSE WHERE comida_id = $1 AND id <> $2',
+      [id, imagenId]
+    );
+    await client.query('UPDATE comida_imagenes SET es_principal = TRUE WHERE id = $1', [imagenId]);
+    await syncImagenPrincipal(client, id);
+    await registrarAuditoria(client, req, {
+      accion: 'imagen_principal',
+      entidad: 'comida',
+      entidadId: id,
+      antes,
+      despues: await estadoImagenes(client, id)
+    });
+
+    const imagenes = await getImagenes(client, id);
+    await client.query('COMMIT');
+
+    res.json({ comida_id: id, imagenes });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
-  if (imagen && !isValidImageUrl(imagen)) {
-    return badRequest(res, 'La URL de la imagen no es válida');
+}));
+
+/**
+ * DELETE /api/comidas/:id/imagenes/:imagenId
+ * Si era la principal, la más antigua que quede toma su lugar.
+ */
+router.delete('/comidas/:id/imagenes/:imagenId', authorize('DELETE /comidas/:id/imagenes/:imagenId'), loadVendedor, requireComidaOwner, asyncHandler(async (req, res) => {
+  const id = toIntPos(req.params.id);
+  const imagenId = toIntPos(req.params.imagenId);
+  if (id === null || imagenId === null) return badRequest(res, 'ID inválido');
+
+  const client = await pool.connect();
+  let borrada;
+  try {
+    await client.query('BEGIN');
+
+    await lockComida(client, id);
+    const antes = await estadoImagenes(client, id);
+    const { rows } = await client.query(
+      `DELETE FROM comida_imagenes WHERE id = $1 AND comida_id = $2
+       RETURNING clave, url, es_principal`,
+      [imagenId, id]
+    );
+    borrada = rows[0];
+    if (!borrada) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ mensaje: 'Imagen no encontrada' });
+    }
+
+    if (borrada.es_principal) {
+      await client.query(
+        `UPDATE comida_imagenes SET es_principal = TRUE
+         WHERE id = (SELECT id FROM comida_imagenes WHERE comida_id = $1 ORDER BY id LIMIT 1)`,
+        [id]
+      );
+    }
+    await syncImagenPrincipal(client, id, borrada.url);
+    await registrarAuditoria(client, req, {
+      accion: 'eliminar_imagen',
+      entidad: 'comida',
+      entidadId: id,
+      antes,
+      despues: await estadoImagenes(client, id)
+    });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
 
+  // El archivo se borra recién cuando la fila ya no existe
+  await removeFiles([borrada.clave]);
+  res.status(204).send();
+}));
+
+/**
+ * POST /api/comidas
+ * Body: { nombre, descripcion?, categoria_id? | categoria? (nombre), etiquetas?, precio, imagen?,
+ *         cantidad_disponible?, sku?,
+ *         retiro_desde?, retiro_hasta?, consumir_antes?, vendedor_id? (solo admin) }
+ * Si la crea un vendedor queda asociada a su negocio.
+ * Sin cantidad_disponible la comida no tiene control de stock.
+ */
+router.post('/comidas', authorize('POST /comidas'), requireVerifiedVendor, loadVendedor, asyncHandler(async (req, res) => {
+  const parsed = await parseComidaBody(req.body);
+  if (parsed.error) return badRequest(res, parsed.error);
+  const c = parsed.value;
+
+  const vendedor = await parseVendedorIdBody(req);
+  if (vendedor.error) return badRequest(res, vendedor.error);
+  const vendedorId = req.vendedorId || vendedor.value || null;
+
   const { rows } = await pool.query(
-    `INSERT INTO comidas (nombre, categoria, precio, imagen)
-     VALUES ($1, $2, $3, $4)
-     RETURNING id, nombre, categoria, precio, imagen`,
-    [nombre, categoria || null, precio, imagen || null]
+    `INSERT INTO comidas (nombre, categoria_id, precio, imagen, vendedor_id, cantidad_disponible,
+                          retiro_desde, retiro_hasta, consumir_antes, descripcion, etiquetas, sku)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING ${COLUMNAS}`,
+    [c.nombre, c.categoria_id, c.precio, c.imagen, vendedorId, c.cantidad_disponible,
+      c.retiro_desde, c.retiro_hasta, c.consumir_antes, c.descripcion, c.etiquetas, c.sku]
   );
 
   const created = mapPrecioNumber(rows[0]);
+  await registrarAuditoria(pool, req, {
+    accion: 'crear',
+    entidad: 'comida',
+    entidadId: created.id,
+    despues: await leerFila(pool, 'comida', created.id)
+  });
   res
     .status(201)
     .location(`/api/comidas/${created.id}`)
@@ -165,36 +1148,36 @@ router.post('/comidas', asyncHandler(async (req, res) => {
 
 /**
  * PUT /api/comidas/:id   (reemplazo completo)
- * Body: { nombre, categoria?, precio, imagen? }
+ * Body: { nombre, descripcion?, categoria_id? | categoria? (nombre), etiquetas?, precio, imagen?,
+ *         cantidad_disponible?, sku?,
+ *         retiro_desde?, retiro_hasta?, consumir_antes?, vendedor_id? (solo admin) }
  */
-router.put('/comidas/:id', asyncHandler(async (req, res) => {
+router.put('/comidas/:id', authorize('PUT /comidas/:id'), requireVerifiedVendor, loadVendedor, requireComidaOwner, asyncHandler(async (req, res) => {
   const id = toIntPos(req.params.id);
   if (id === null) return badRequest(res, 'ID inválido');
 
-  const nombre = norm(req.body?.nombre);
-  const categoria = norm(req.body?.categoria);
-  const precio = toPrecio(req.body?.precio);
-  const imagen = norm(req.body?.imagen);
+  const parsed = await parseComidaBody(req.body);
+  if (parsed.error) return badRequest(res, parsed.error);
+  const c = parsed.value;
 
-  if (!nombre || nombre.length > 120) {
-    return badRequest(res, 'El nombre es requerido y debe tener ≤ 120 caracteres');
-  }
-  if (precio === null) {
-    return badRequest(res, 'El precio es requerido y debe ser un número ≥ 0');
-  }
-  if (!isCategoriaValida(categoria)) {
-    return badRequest(res, 'Categoría inválida');
-  }
-  if (imagen && !isValidImageUrl(imagen)) {
-    return badRequest(res, 'La URL de la imagen no es válida');
-  }
+  const vendedor = await parseVendedorIdBody(req);
+  if (vendedor.error) return badRequest(res, vendedor.error);
 
-  const { rows } = await pool.query(
-    `UPDATE comidas
-       SET nombre = $1, categoria = $2, precio = $3, imagen = $4
-     WHERE id = $5
-     RETURNING id, nombre, categoria, precio, imagen`,
-    [nombre, categoria || null, precio, imagen || null, id]
+  // vendedor_id solo cambia si el admin lo envía
+  const { rows } = await auditarCambio(pool, req, { accion: 'actualizar', entidad: 'comida', entidadId: id }, () =>
+    pool.query(
+      `UPDATE comidas
+         SET nombre = $1, categoria_id = $2, precio = $3, imagen = $4,
+             vendedor_id = CASE WHEN $6 THEN $7::int ELSE vendedor_id END,
+             cantidad_disponible = $8,
+             retiro_desde = $9, retiro_hasta = $10, consumir_antes = $11,
+             descripcion = $12, etiquetas = $13, sku = $14
+       WHERE id = $5
+       RETURNING ${COLUMNAS}`,
+      [c.nombre, c.categoria_id, c.precio, c.imagen, id,
+        vendedor.value !== undefined, vendedor.value ?? null, c.cantidad_disponible,
+        c.retiro_desde, c.retiro_hasta, c.consumir_antes, c.descripcion, c.etiquetas, c.sku]
+    )
   );
 
   if (rows.length === 0) return res.status(404).json({ mensaje: 'Comida no encontrada' });
@@ -203,14 +1186,16 @@ router.put('/comidas/:id', asyncHandler(async (req, res) => {
 
 /**
  * PATCH /api/comidas/:id   (actualización parcial)
- * Body: { nombre?, categoria?, precio?, imagen? }
+ * Body: { nombre?, descripcion?, categoria_id? | categoria? (nombre), etiquetas?, precio?, imagen?,
+ *         cantidad_disponible?, sku?,
+ *         retiro_desde?, retiro_hasta?, consumir_antes?, vendedor_id? (solo admin) }
  */
-router.patch('/comidas/:id', asyncHandler(async (req, res) => {
+router.patch('/comidas/:id', authorize('PATCH /comidas/:id'), requireVerifiedVendor, loadVendedor, requireComidaOwner, asyncHandler(async (req, res) => {
   const id = toIntPos(req.params.id);
   if (id === null) return badRequest(res, 'ID inválido');
 
   const nombre = req.body?.nombre !== undefined ? norm(req.body.nombre) : undefined;
-  const categoria = req.body?.categoria !== undefined ? norm(req.body.categoria) : undefined;
+  const descripcion = req.body?.descripcion !== undefined ? norm(req.body.descripcion) : undefined;
   const precio = req.body?.precio !== undefined ? toPrecio(req.body.precio) : undefined;
   const imagen = req.body?.imagen !== undefined ? norm(req.body.imagen) : undefined;
 
@@ -220,9 +1205,19 @@ router.patch('/comidas/:id', asyncHandler(async (req, res) => {
     if (!nombre || nombre.length > 120) return badRequest(res, 'Nombre inválido');
     params.push(nombre); sets.push(`nombre = $${params.length}`);
   }
-  if (categoria !== undefined) {
-    if (!isCategoriaValida(categoria)) return badRequest(res, 'Categoría inválida');
-    params.push(categoria || null); sets.push(`categoria = $${params.length}`);
+  if (descripcion !== undefined) {
+    if (descripcion.length > MAX_DESCRIPCION) return badRequest(res, 'Descripción demasiado larga');
+    params.push(descripcion || null); sets.push(`descripcion = $${params.length}`);
+  }
+  const categoria = await parseCategoria(req.body);
+  if (categoria.error) return badRequest(res, categoria.error);
+  if (categoria.value !== undefined) {
+    params.push(categoria.value); sets.push(`categoria_id = $${params.length}`);
+  }
+  if (req.body?.etiquetas !== undefined) {
+    const etiquetas = parseEtiquetas(req.body.etiquetas);
+    if (etiquetas.error) return badRequest(res, etiquetas.error);
+    params.push(etiquetas.value); sets.push(`etiquetas = $${params.length}`);
   }
   if (precio !== undefined) {
     if (precio === null) return badRequest(res, 'Precio inválido');
@@ -232,14 +1227,38 @@ router.patch('/comidas/:id', asyncHandler(async (req, res) => {
     if (imagen && !isValidImageUrl(imagen)) return badRequest(res, 'URL de imagen inválida');
     params.push(imagen || null); sets.push(`imagen = $${params.length}`);
   }
+  if (req.body?.cantidad_disponible !== undefined) {
+    const stock = toStock(req.body.cantidad_disponible);
+    if (stock.error) return badRequest(res, stock.error);
+    params.push(stock.value); sets.push(`cantidad_disponible = $${params.length}`);
+  }
+  if (req.body?.sku !== undefined) {
+    const sku = parseSku(req.body.sku);
+    if (sku.error) return badRequest(res, sku.error);
+    params.push(sku.value); sets.push(`sku = $${params.length}`);
+  }
+
+  const fechas = parseFechasBody(req.body);
+  if (fechas.error) return badRequest(res, fechas.error);
+  for (const [campo, valor] of Object.entries(fechas.value)) {
+    params.push(valor); sets.push(`${campo} = $${params.length}`);
+  }
+
+  const vendedor = await parseVendedorIdBody(req);
+  if (vendedor.error) return badRequest(res, vendedor.error);
+  if (vendedor.value !== undefined) {
+    params.push(vendedor.value); sets.push(`vendedor_id = $${params.length}`);
+  }
 
   if (sets.length === 0) return badRequest(res, 'No hay campos para actualizar');
 
   params.push(id);
-  const { rows } = await pool.query(
-    `UPDATE comidas SET ${sets.join(', ')} WHERE id = $${params.length}
-     RETURNING id, nombre, categoria, precio, imagen`,
-    params
+  const { rows } = await auditarCambio(pool, req, { accion: 'actualizar', entidad: 'comida', entidadId: id }, () =>
+    pool.query(
+      `UPDATE comidas SET ${sets.join(', ')} WHERE id = $${params.length}
+       RETURNING ${COLUMNAS}`,
+      params
+    )
   );
   if (rows.length === 0) return res.status(404).json({ mensaje: 'Comida no encontrada' });
 
@@ -247,22 +1266,88 @@ router.patch('/comidas/:id', asyncHandler(async (req, res) => {
 }));
 
 /**
- * DELETE /api/comidas/:id
+ * DELETE /api/comidas/:id   (archiva)
+ * La fila se conserva para pedidos, pagos y vista_pedidos_completos, junto con sus
+ * imágenes, para poder restaurarla. Se quita de los carritos activos que no tienen
+ * un pago en curso; en esos el checkout la rechaza con COMIDA_ARCHIVADA.
  */
-router.delete('/comidas/:id', asyncHandler(async (req, res) => {
+router.delete('/comidas/:id', authorize('DELETE /comidas/:id'), loadVendedor, requireComidaOwner, asyncHandler(async (req, res) => {
   const id = toIntPos(req.params.id);
   if (id === null) return badRequest(res, 'ID inválido');
 
-  const { rows } = await pool.query(
-    'DELETE FROM comidas WHERE id = $1 RETURNING id',
-    [id]
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await auditarCambio(client, req, { accion: 'archivar', entidad: 'comida', entidadId: id }, () =>
+      client.query(
+        `UPDATE comidas SET archivado_en = COALESCE(archivado_en, NOW())
+         WHERE id = $1 RETURNING id`,
+        [id]
+      )
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ mensaje: 'Comida no encontrada' });
+    }
+
+    await client.query(
+      `DELETE FROM carrito_items ci
+       USING carritos k
+       WHERE ci.carrito_id = k.id
+         AND ci.comida_id = $1
+         AND k.estado = 'activo'
+         AND NOT EXISTS (
+           SELECT 1 FROM pagos p
+           WHERE p.carrito_id = k.id AND p.estado IN ('pendiente', 'procesando')
+         )`,
+      [id]
+    );
+
+    await client.query('COMMIT');
+    res.status(204).send();
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}));
+
+/**
+ * POST /api/comidas/:id/restaurar   (solo admin)
+ * Vuelve a publicar una comida archivada.
+ */
+router.post('/comidas/:id/restaurar', authorize('POST /comidas/:id/restaurar'), asyncHandler(async (req, res) => {
+  const id = toIntPos(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
+
+  const { rows } = await auditarCambio(pool, req, { accion: 'restaurar', entidad: 'comida', entidadId: id }, () =>
+    pool.query(
+      `UPDATE comidas SET archivado_en = NULL
+       WHERE id = $1 AND archivado_en IS NOT NULL
+       RETURNING ${COLUMNAS}`,
+      [id]
+    )
   );
-  if (rows.length === 0) return res.status(404).json({ mensaje: 'Comida no encontrada' });
-  res.status(204).send();
+  if (rows.length === 0) {
+    return res.status(404).json({ mensaje: 'No hay una comida archivada con ese ID' });
+  }
+  res.json(mapPrecioNumber(rows[0]));
 }));
 
 /* =================== Manejador de errores =================== */
 router.use((err, req, res, _next) => {
+  // La ventana se valida en el body, pero un PATCH parcial puede chocar con la guardada
+  if (err.code === '23514' && err.constraint === 'comidas_ventana_retiro_chk') {
+    return badRequest(res, 'retiro_desde debe ser anterior a retiro_hasta');
+  }
+  if (err.code === '23505' && err.constraint === 'ux_comidas_vendedor_sku') {
+    return res.status(409).json({
+      mensaje: 'Ya existe una comida con ese sku en el negocio',
+      codigo: 'SKU_DUPLICADO'
+    });
+  }
   console.error('Error:', err);
   res.status(500).json({ mensaje: 'Error interno del servidor', error: err.message });
 });
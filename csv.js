@@ -0,0 +1,70 @@
+// csv.js - Lectura y escritura de CSV (RFC 4180) para importar/exportar el catálogo
+'use strict';
+
+/**
+ * Separa el texto en filas y celdas. Acepta comillas dobles (con "" como escape),
+ * saltos de línea dentro de comillas, CRLF y BOM inicial.
+ * Devuelve { value: [[celda, ...], ...] } o { error } si queda una comilla sin cerrar.
+ * Las líneas vacías se omiten.
+ */
+const parseCsv = (texto) => {
+  const src = texto.replace(/^\uFEFF/, '');
+  const filas = [];
+  let fila = [];
+  let celda = '';
+  let enComillas = false;
+
+  const cerrarFila = () => {
+    fila.push(celda);
+    if (fila.length > 1 || fila[0] !== '') filas.push(fila);
+    fila = [];
+    celda = '';
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (enComillas) {
+      if (ch === '"' && src[i + 1] === '"') {
+        celda += '"';
+        i++;
+      } else if (ch === '"') {
+        enComillas = false;
+      } else {
+        celda += ch;
+      }
+    } else if (ch === '"' && celda === '') {
+      enComillas = true;
+    } else if (ch === ',') {
+      fila.push(celda);
+      celda = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      cerrarFila();
+    } else {
+      celda += ch;
+    }
+  }
+  if (enComillas) return { error: 'El CSV tiene comillas sin cerrar' };
+  if (celda !== '' || fila.length) cerrarFila();
+
+  return { value: filas };
+};
+
+// Las celdas que empiezan con =, +, - o @ se abren como fórmulas en las planillas
+const celdaSegura = (v) => (/^[=+\-@]/.test(v) && !/^-?\d/.test(v) ? `'${v}` : v);
+
+const formatCelda = (v) => {
+  if (v === null || v === undefined) return '';
+  const texto = celdaSegura(v instanceof Date ? v.toISOString() : String(v));
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Arma el CSV con la fila de encabezados `columnas` y una fila por objeto.
+ */
+const toCsv = (columnas, filas) =>
+  [columnas, ...filas.map((f) => columnas.map((c) => f[c]))]
+    .map((fila) => fila.map(formatCelda).join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,170 @@
+// estadosPedido.js - Máquina de estados de los pedidos e historial de cambios
+// Única definición de qué rol puede mover un pedido de qué estado a cuál.
+'use strict';
+
+const { ROLES } = require('./permisos');
+const { leerFila, registrarAuditoria } = require('./auditoria');
+const { reponerStock } = require('./stock');
+
+// Mismo listado que pedidos_estado_check (migración 022), en orden de avance
+const ESTADOS_VALIDOS = [
+  'pendiente',
+  'pendiente_pago',
+  'pendiente_verificacion',
+  'confirmado',
+  'en-preparacion',
+  'listo',
+  'entregado',
+  'cancelado'
+];
+
+// Esperan que el vendedor los acepte (el checkout crea los de pago en efectivo/QR así)
+const ESTADOS_POR_ACEPTAR = ['pendiente', 'pendiente_pago', 'pendiente_verificacion'];
+
+const ESTADOS_FINALES = ['entregado', 'cancelado'];
+
+const porAceptar = (destinos) => Object.fromEntries(ESTADOS_POR_ACEPTAR.map((e) => [e, destinos]));
+
+/**
+ * rol -> estado actual -> estados a los que puede pasar.
+ * entregado y cancelado son finales. El vendedor solo cancela antes de preparar;
+ * el admin puede cancelar mientras el pedido no se haya entregado.
+ */
+const TRANSICIONES = Object.freeze({
+  [ROLES.ADMIN]: {
+    ...porAceptar(['confirmado', 'cancelado']),
+    'confirmado': ['en-preparacion', 'cancelado'],
+    'en-preparacion': ['listo', 'cancelado'],
+    'listo': ['entregado', 'cancelado'],
+  },
+  [ROLES.VENDEDOR]: {
+    ...porAceptar(['confirmado', 'cancelado']),
+    'confirmado': ['en-preparacion', 'cancelado'],
+    'en-preparacion': ['listo'],
+    'listo': ['entregado'],
+  },
+});
+
+/**
+ * Estado de un conjunto de líneas: el menos avanzado de las que siguen vivas,
+ * o cancelado si se cancelaron todas (null sin líneas).
+ * Misma regla que estado_por_lineas() en la migración 022.
+ */
+const estadoPorLineas = (estados) => {
+  if (estados.length === 0) return null;
+  const vivos = estados.filter((e) => e !== 'cancelado');
+  if (vivos.length === 0) return 'cancelado';
+  return vivos.reduce((a, b) => (ESTADOS_VALIDOS.indexOf(b) < ESTADOS_VALIDOS.indexOf(a) ? b : a));
+};
+
+const estadosSiguientes = (rol, desde) => TRANSICIONES[rol]?.[desde] || [];
+
+const puedeCambiarEstado = (rol, desde, hacia) => estadosSiguientes(rol, desde).includes(hacia);
+
+/**
+ * Cuerpo del 409 para una transición no permitida.
+ */
+const transicionInvalida = (rol, desde, hacia) => ({
+  mensaje: `No se puede pasar el pedido de "${desde}" a "${hacia || 'siguiente estado'}"`,
+  codigo: 'TRANSICION_INVALIDA',
+  estado_actual: desde,
+  permitidos: estadosSiguientes(rol, desde)
+});
+
+// Todas las funciones reciben `db`: el client de una transacción o el pool
+
+/**
+ * Agrega una fila al historial con el usuario de req (sin req: cliente o sistema).
+ * anterior = null para el estado con el que se crea el pedido.
+ * Con vendedorId la fila es del estado de las líneas de ese vendedor.
+ */
+const registrarEstado = async (db, req, { pedidoId, anterior = null, nuevo, nota = null, vendedorId = null }) => {
+  await db.query(
+    `INSERT INTO pedido_historial_estados (pedido_id, estado_anterior, estado_nuevo, usuario_id, rol, nota, vendedor_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [pedidoId, anterior, nuevo, req?.user?.id ?? null, req?.user?.rol ?? null, nota, vendedorId]
+  );
+};
+
+/**
+ * Pasa a `hacia` las líneas de `pedido` ({ id, estado }, ya bloqueado con FOR UPDATE)
+ * si el rol de req.user lo permite desde el estado actual de esas líneas.
+ * Con vendedorId solo se tocan las líneas de ese vendedor; el estado del pedido se
+ * recalcula con el de todas. `hacia` puede ser una función del estado actual.
+ * `nota` se agrega a las notas del pedido y al historial. Las líneas que se
+ * cancelan devuelven su cantidad al stock.
+ * Devuelve { error } con el cuerpo del 409 o { value: { anterior, nuevo, estado_pedido } }.
+ */
+const cambiarEstado = async (client, req, pedido, hacia, { nota = null, vendedorId = null } = {}) => {
+  const rol = req.user?.rol;
+  const { rows: lineas } = await client.query(
+    `SELECT pc.id, pc.estado
+     FROM pedido_comida pc
+     JOIN comidas c ON c.id = pc.comida_id
+     WHERE pc.pedido_id = $1 AND ($2::int IS NULL OR c.vendedor_id = $2)
+     ORDER BY pc.id`,
+    [pedido.id, vendedorId]
+  );
+
+  const desde = estadoPorLineas(lineas.map((l) => l.estado)) || pedido.estado;
+  const destino = typeof hacia === 'function' ? hacia(desde) : hacia;
+  if (!puedeCambiarEstado(rol, desde, destino)) {
+    return { error: transicionInvalida(rol, desde, destino) };
+  }
+
+  // Avanzan las líneas atrasadas; al cancelar, todas las que no terminaron
+  const movidas = lineas.filter((l) =>
+    destino === 'cancelado' ? !ESTADOS_FINALES.includes(l.estado) : l.estado === desde
+  );
+
+  const antes = await leerFila(client, 'pedido', pedido.id);
+  if (destino === 'cancelado') {
+    await reponerStock(client, pedido.id, movidas.map((l) => l.id));
+  }
+  await client.query(
+    'UPDATE pedido_comida SET estado = $1 WHERE id = ANY($2::int[])',
+    [destino, movidas.map((l) => l.id)]
+  );
+  const { rows } = await client.query(
+    `UPDATE pedidos
+     SET estado = COALESCE(
+           (SELECT estado_por_lineas(ARRAY_AGG(estado::text)) FROM pedido_comida WHERE pedido_id = $1),
+           $2),
+         notas = CASE WHEN $3::text IS NULL THEN notas ELSE CONCAT_WS(' | ', notas, $3::text) END,
+         fecha_actualizacion = NOW()
+     WHERE id = $1
+     RETURNING estado`,
+    [pedido.id, destino, nota]
+  );
+  const estadoPedido = rows[0].estado;
+
+  await registrarAuditoria(client, req, {
+    accion: 'cambiar_estado',
+    entidad: 'pedido',
+    entidadId: pedido.id,
+    antes: { ...antes, lineas: movidas.map(({ id, estado }) => ({ id, estado })) },
+    despues: {
+      ...(await leerFila(client, 'pedido', pedido.id)),
+      lineas: movidas.map(({ id }) => ({ id, estado: destino }))
+    }
+  });
+
+  if (vendedorId) {
+    await registrarEstado(client, req, { pedidoId: pedido.id, anterior: desde, nuevo: destino, nota, vendedorId });
+    if (estadoPedido !== pedido.estado) {
+      await registrarEstado(client, req, { pedidoId: pedido.id, anterior: pedido.estado, nuevo: estadoPedido });
+    }
+  } else {
+    await registrarEstado(client, req, { pedidoId: pedido.id, anterior: pedido.estado, nuevo: estadoPedido, nota });
+  }
+
+  return { value: { anterior: desde, nuevo: destino, estado_pedido: estadoPedido } };
+};
+
+module.exports = {
+  ESTADOS_VALIDOS,
+  puedeCambiarEstado,
+  transicionInvalida,
+  registrarEstado,
+  cambiarEstado,
+};
@@ -0,0 +1,70 @@
+// imagenes.js - Recepción y validación de imágenes subidas (multipart/form-data)
+// El tipo se decide por los primeros bytes del archivo, no por el nombre ni el
+// Content-Type que declara el cliente.
+'use strict';
+
+const multer = require('multer');
+require('dotenv-flow').config();
+
+const MAX_IMAGEN_BYTES = Number(process.env.MAX_IMAGEN_BYTES || 5 * 1024 * 1024);
+const MAX_ARCHIVOS_POR_SUBIDA = 5;
+const MAX_IMAGENES_POR_COMIDA = 10;
+
+// Firmas (magic bytes) de los formatos aceptados
+const FIRMAS = [
+  { tipo: 'image/jpeg', ext: 'jpg', coincide: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    tipo: 'image/png',
+    ext: 'png',
+    coincide: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    tipo: 'image/gif',
+    ext: 'gif',
+    coincide: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1'))
+  },
+  {
+    tipo: 'image/webp',
+    ext: 'webp',
+    coincide: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP'
+  },
+];
+
+/**
+ * Devuelve { tipo, ext } según la firma del buffer, o null si no es un formato aceptado.
+ */
+const detectImageType = (buffer) => {
+  const firma = FIRMAS.find((f) => f.coincide(buffer));
+  return firma ? { tipo: firma.tipo, ext: firma.ext } : null;
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGEN_BYTES, files: MAX_ARCHIVOS_POR_SUBIDA, fields: 10 },
+}).array('imagenes', MAX_ARCHIVOS_POR_SUBIDA);
+
+/**
+ * Middleware: lee el campo "imagenes" (uno o varios archivos) en req.files
+ * y traduce los errores de multer a respuestas 400/413.
+ */
+const recibirImagenes = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (!(err instanceof multer.MulterError)) return next(err);
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        mensaje: `Cada imagen puede pesar como máximo ${Math.floor(MAX_IMAGEN_BYTES / 1024)} KB`,
+        codigo: 'IMAGEN_DEMASIADO_GRANDE'
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        mensaje: `Envía hasta ${MAX_ARCHIVOS_POR_SUBIDA} archivos en el campo "imagenes"`
+      });
+    }
+    return res.status(400).json({ mensaje: 'El formulario de subida no es válido', error: err.message });
+  });
+};
+
+module.exports = { detectImageType, recibirImagenes, MAX_IMAGENES_POR_COMIDA };
@@ -0,0 +1,96 @@
+// loginThrottle.js - Retrasos progresivos y bloqueo temporal de /auth/login
+'use strict';
+
+const pool = require('./db');
+require('dotenv-flow').config();
+
+// Ventana en la que se acumulan fallos; pasado ese tiempo el contador vuelve a 1
+const VENTANA_MIN = Number(process.env.LOGIN_VENTANA_MIN || 15);
+const BLOQUEO_MIN = Number(process.env.LOGIN_BLOQUEO_MIN || 15);
+
+/**
+ * libres: fallos permitidos sin retraso
+ * maximo: a partir de aquí se bloquea BLOQUEO_MIN minutos
+ * Entre ambos el retraso crece: 2s, 4s, 8s...
+ */
+const POLITICAS = {
+  usuario: {
+    libres: 3,
+    maximo: Number(process.env.LOGIN_MAX_INTENTOS_USUARIO || 5),
+  },
+  ip: {
+    libres: 10,
+    maximo: Number(process.env.LOGIN_MAX_INTENTOS_IP || 20),
+  },
+};
+
+const segundosDeEspera = (tipo, fallos) => {
+  const { libres, maximo } = POLITICAS[tipo];
+  if (fallos >= maximo) return BLOQUEO_MIN * 60;
+  if (fallos < libres) return 0;
+  return 2 ** (fallos - libres + 1);
+};
+
+/**
+ * Devuelve los segundos que faltan para poder intentar de nuevo
+ * (0 si ni el usuario ni la IP están retrasados/bloqueados).
+ */
+const getRetryAfter = async (username, ip) => {
+  const { rows } = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM MAX(bloqueado_hasta) - NOW()))::int AS segundos
+     FROM login_intentos
+     WHERE ((tipo = 'usuario' AND clave = $1) OR (tipo = 'ip' AND clave = $2))
+       AND bloqueado_hasta > NOW()`,
+    [username, ip]
+  );
+  return rows[0]?.segundos || 0;
+};
+
+const registrarFallo = async (tipo, clave) => {
+  const { rows } = await pool.query(
+    `INSERT INTO login_intentos (tipo, clave, fallos, ultimo_fallo)
+     VALUES ($1, $2, 1, NOW())
+     ON CONFLICT (tipo, clave) DO UPDATE SET
+       fallos = CASE
+         WHEN login_intentos.ultimo_fallo < NOW() - make_interval(mins => $3) THEN 1
+         ELSE login_intentos.fallos + 1
+       END,
+       ultimo_fallo = NOW()
+     RETURNING fallos`,
+    [tipo, clave, VENTANA_MIN]
+  );
+
+  const fallos = rows[0].fallos;
+  const espera = segundosDeEspera(tipo, fallos);
+  await pool.query(
+    `UPDATE login_intentos
+     SET bloqueado_hasta = CASE WHEN $3::int > 0 THEN NOW() + make_interval(secs => $3) END
+     WHERE tipo = $1 AND clave = $2`,
+    [tipo, clave, espera]
+  );
+
+  if (fallos >= POLITICAS[tipo].maximo) {
+    console.warn(`🔒 Login bloqueado ${BLOQUEO_MIN} min (${tipo}) tras ${fallos} fallos`);
+  }
+};
+
+/**
+ * Registra un intento fallido para el username y la IP.
+ */
+const registerLoginFailure = async (username, ip) => {
+  await registrarFallo('usuario', username);
+  if (ip) await registrarFallo('ip', ip);
+};
+
+/**
+ * Login exitoso: limpia el contador del username.
+ * El de la IP se mantiene hasta que vence su ventana.
+ */
+const clearLoginFailures = async (username) => {
+  await pool.query(
+    "DELETE FROM login_intentos WHERE tipo = 'usuario' AND clave = $1",
+    [username]
+  );
+};
+
+module.exports = { getRetryAfter, registerLoginFailure, clearLoginFailures };
@@ -0,0 +1,67 @@
+// mailer.js - Envío de correos con transportes intercambiables
+// Por defecto los mensajes se guardan en la tabla correos_salientes (outbox local),
+// así se puede probar todo sin un servidor SMTP.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+require('dotenv-flow').config();
+
+const transports = {
+  // Guarda el mensaje en la tabla correos_salientes
+  outbox: async (msg) => {
+    const { rows } = await pool.query(
+      `INSERT INTO correos_salientes (destinatario, asunto, texto, html, tipo)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [msg.to, msg.subject, msg.text || null, msg.html || null, msg.tipo || null]
+    );
+    return { id: rows[0].id };
+  },
+
+  // Escribe un .json por mensaje en MAIL_OUTBOX_DIR (default ./outbox)
+  archivo: async (msg) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...msg, fecha: new Date().toISOString() }, null, 2));
+    return { id: path.basename(file) };
+  },
+
+  // Solo loguea (útil en tests rápidos)
+  consola: async (msg) => {
+    console.log(`📧 [mail] Para: ${msg.to} | Asunto: ${msg.subject}`);
+    return { id: null };
+  },
+};
+
+/**
+ * Registra un transporte propio (ej. SMTP, SES).
+ * fn recibe { to, subject, text, html, tipo } y devuelve una promesa.
+ */
+const registerTransport = (name, fn) => {
+  if (typeof fn !== 'function') throw new Error('El transporte debe ser una función');
+  transports[name] = fn;
+};
+
+/**
+ * Envía un correo usando MAIL_TRANSPORT (default: outbox).
+ */
+const sendMail = async ({ to, subject, text, html, tipo }) => {
+  if (!to || !subject) throw new Error('Destinatario y asunto son requeridos');
+
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) throw new Error(`Transporte de correo desconocido: ${name}`);
+
+  const result = await transport({ to, subject, text, html, tipo });
+  console.log(`📧 Correo "${tipo || subject}" enviado vía ${name}`);
+  return result;
+};
+
+// URL pública del frontend para armar los enlaces de los correos
+const frontendUrl = (ruta) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/+$/, '')}${ruta}`;
+
+module.exports = { sendMail, registerTransport, frontendUrl };
@@ -6,27 +6,37 @@ const path = require('path');
 const pool = require('./db'); // 👈 aquí llega el Pool
 
 /**
- * Ejecuta el archivo migrations/001_init.sql dentro de una transacción.
+ * Ejecuta todos los archivos migrations/*.sql en orden (001_, 002_, ...)
+ * dentro de una única transacción. Los scripts deben ser idempotentes.
  * Devuelve información mínima de lo aplicado.
  */
 async function runMigrations() {
-  const filePath = path.join(__dirname, 'migrations', '001_init.sql');
+  const dir = path.join(__dirname, 'migrations');
 
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`No existe el archivo de migración: ${filePath}`);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`No existe el directorio de migraciones: ${dir}`);
   }
 
-  const sql = fs.readFileSync(filePath, 'utf8').trim();
-  if (!sql) {
-    return { applied: null, message: 'El archivo SQL está vacío, no hay cambios.' };
+  const files = fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.sql'))
+    .sort();
+
+  const scripts = files
+    .map((f) => ({ file: f, sql: fs.readFileSync(path.join(dir, f), 'utf8').trim() }))
+    .filter((m) => m.sql);
+
+  if (scripts.length === 0) {
+    return { applied: [], message: 'No hay archivos SQL con cambios.' };
   }
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    await client.query(sql); // Ejecuta todo el script (múltiples sentencias soportadas)
+    for (const { sql } of scripts) {
+      await client.query(sql); // Ejecuta todo el script (múltiples sentencias soportadas)
+    }
     await client.query('COMMIT');
-    return { applied: path.basename(filePath) };
+    return { applied: scripts.map((m) => m.file) };
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('❌ Migración falló:', err);
@@ -0,0 +1,8 @@
+-- =========================================================
+-- VISTAS: se borran al empezar cada corrida
+-- 001_init.sql crea vista_pedidos_completos con CREATE OR REPLACE y
+-- las migraciones posteriores la recrean con más columnas; sin este
+-- DROP, volver a correr 001 falla ("cannot drop columns from view").
+-- La última migración que la define la deja como corresponde.
+-- =========================================================
+DROP VIEW IF EXISTS vista_pedidos_completos;
@@ -0,0 +1,37 @@
+-- =========================================================
+-- ROLES: una sola fuente de verdad
+-- usuarios.rol (texto) pasa a referenciar roles.code.
+-- Los códigos heredados ADMIN/USER (001_init.sql los vuelve a sembrar en
+-- cada corrida) se convierten a admin/usuario y se borran.
+-- =========================================================
+INSERT INTO roles (code, name) VALUES
+('admin',    'Administrador'),
+('vendedor', 'Vendedor'),
+('usuario',  'Usuario')
+ON CONFLICT (code) DO NOTHING;
+
+-- La tabla legacy "users" apuntaba a ADMIN/USER por id
+UPDATE users SET role_id = (SELECT id FROM roles WHERE code = 'admin')
+ WHERE role_id IN (SELECT id FROM roles WHERE code = 'ADMIN');
+UPDATE users SET role_id = (SELECT id FROM roles WHERE code = 'usuario')
+ WHERE role_id IN (SELECT id FROM roles WHERE code = 'USER');
+DELETE FROM roles WHERE code IN ('ADMIN', 'USER');
+
+-- Columnas que usa auth.js (por si la tabla se creó con 001_init.sql)
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS nombre_completo TEXT;
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS rol VARCHAR(20) NOT NULL DEFAULT 'usuario';
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS fecha_registro TIMESTAMP NOT NULL DEFAULT NOW();
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS ultimo_login TIMESTAMP;
+
+UPDATE usuarios SET rol = LOWER(TRIM(rol)) WHERE rol <> LOWER(TRIM(rol));
+UPDATE usuarios SET rol = 'usuario'
+ WHERE rol NOT IN (SELECT code FROM roles);
+
+ALTER TABLE usuarios DROP CONSTRAINT IF EXISTS usuarios_rol_fk;
+ALTER TABLE usuarios
+  ADD CONSTRAINT usuarios_rol_fk FOREIGN KEY (rol) REFERENCES roles(code);
+
+CREATE INDEX IF NOT EXISTS idx_usuarios_rol ON usuarios (rol);
+
+COMMENT ON TABLE roles IS 'Catálogo de roles (admin, vendedor, usuario). Referenciado por usuarios.rol';
+COMMENT ON TABLE users IS 'LEGACY: no la usa la API; la autenticación vive en usuarios';
@@ -0,0 +1,37 @@
+-- =========================================================
+-- RECUPERACIÓN DE CONTRASEÑA
+-- =========================================================
+
+-- Se incrementa al cambiar la contraseña: invalida los tokens de acceso emitidos antes
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- Tokens de un solo uso; solo se guarda el hash SHA-256
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id             SERIAL PRIMARY KEY,
+  usuario_id     INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  token_hash     TEXT NOT NULL UNIQUE,
+  expira_en      TIMESTAMP NOT NULL,
+  usado_en       TIMESTAMP,
+  ip_solicitud   TEXT,
+  fecha_creacion TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_usuario ON password_reset_tokens (usuario_id);
+
+-- =========================================================
+-- BANDEJA DE SALIDA DE CORREOS (transporte por defecto de mailer.js)
+-- =========================================================
+CREATE TABLE IF NOT EXISTS correos_salientes (
+  id             SERIAL PRIMARY KEY,
+  destinatario   TEXT NOT NULL,
+  asunto         TEXT NOT NULL,
+  texto          TEXT,
+  html           TEXT,
+  tipo           VARCHAR(40),             -- ej: 'password_reset'
+  fecha_creacion TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_correos_destinatario ON correos_salientes (LOWER(destinatario));
+
+COMMENT ON TABLE password_reset_tokens IS 'Tokens de recuperación de contraseña (hash, un solo uso)';
+COMMENT ON TABLE correos_salientes IS 'Outbox local de correos para desarrollo y pruebas';
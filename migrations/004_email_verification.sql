@@ -0,0 +1,23 @@
+-- =========================================================
+-- VERIFICACIÓN DE EMAIL
+-- =========================================================
+
+-- Las cuentas existentes se consideran verificadas; las nuevas nacen sin verificar
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS verificado BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE usuarios ALTER COLUMN verificado SET DEFAULT FALSE;
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS fecha_verificacion TIMESTAMP;
+
+-- email: dirección que se confirma con el token
+CREATE TABLE IF NOT EXISTS verificacion_email_tokens (
+  id             SERIAL PRIMARY KEY,
+  usuario_id     INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  email          TEXT NOT NULL,
+  token_hash     TEXT NOT NULL UNIQUE,
+  expira_en      TIMESTAMP NOT NULL,
+  usado_en       TIMESTAMP,
+  fecha_creacion TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_verificacion_usuario ON verificacion_email_tokens (usuario_id);
+
+COMMENT ON TABLE verificacion_email_tokens IS 'Tokens de verificación de email (hash, un solo uso)';
@@ -0,0 +1,16 @@
+-- =========================================================
+-- PROTECCIÓN CONTRA FUERZA BRUTA EN /auth/login
+-- Un registro por username y otro por IP del cliente.
+-- =========================================================
+CREATE TABLE IF NOT EXISTS login_intentos (
+  tipo            VARCHAR(10) NOT NULL CHECK (tipo IN ('usuario', 'ip')),
+  clave           TEXT NOT NULL,           -- username sanitizado o IP
+  fallos          INTEGER NOT NULL DEFAULT 0,
+  ultimo_fallo    TIMESTAMP NOT NULL DEFAULT NOW(),
+  bloqueado_hasta TIMESTAMP,
+  PRIMARY KEY (tipo, clave)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_intentos_ultimo ON login_intentos (ultimo_fallo);
+
+COMMENT ON TABLE login_intentos IS 'Intentos fallidos de login por usuario e IP (retrasos y bloqueo temporal)';
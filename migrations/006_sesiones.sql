@@ -0,0 +1,31 @@
+-- =========================================================
+-- SESIONES Y REFRESH TOKENS
+-- Una sesión por login/dispositivo; cada refresh rota el token.
+-- Presentar un refresh token ya usado revoca toda la sesión.
+-- =========================================================
+CREATE TABLE IF NOT EXISTS sesiones (
+  id             SERIAL PRIMARY KEY,
+  usuario_id     INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  user_agent     TEXT,
+  ip             TEXT,
+  fecha_creacion TIMESTAMP NOT NULL DEFAULT NOW(),
+  ultimo_uso     TIMESTAMP NOT NULL DEFAULT NOW(),
+  revocada_en    TIMESTAMP,
+  motivo_revocacion VARCHAR(30)           -- logout | logout_all | reutilizacion | password_reset ...
+);
+
+CREATE INDEX IF NOT EXISTS idx_sesiones_usuario ON sesiones (usuario_id) WHERE revocada_en IS NULL;
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id             SERIAL PRIMARY KEY,
+  sesion_id      INTEGER NOT NULL REFERENCES sesiones(id) ON DELETE CASCADE,
+  token_hash     TEXT NOT NULL UNIQUE,
+  expira_en      TIMESTAMP NOT NULL,
+  usado_en       TIMESTAMP,               -- se marcó al rotar
+  fecha_creacion TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_sesion ON refresh_tokens (sesion_id);
+
+COMMENT ON TABLE sesiones IS 'Sesiones de usuario (una por dispositivo/login)';
+COMMENT ON TABLE refresh_tokens IS 'Refresh tokens rotativos (hash) de cada sesión';
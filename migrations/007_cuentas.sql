@@ -0,0 +1,7 @@
+-- =========================================================
+-- AUTOGESTIÓN DE CUENTA: baja (desactivación) de usuarios
+-- =========================================================
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS activo BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE usuarios ADD COLUMN IF NOT EXISTS fecha_baja TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_usuarios_activo ON usuarios (activo);
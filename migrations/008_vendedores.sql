@@ -0,0 +1,44 @@
+-- =========================================================
+-- VENDEDORES (empresas) dueños de las comidas
+-- =========================================================
+CREATE TABLE IF NOT EXISTS vendedores (
+  id                  SERIAL PRIMARY KEY,
+  usuario_id          INTEGER UNIQUE REFERENCES usuarios(id) ON DELETE SET NULL,
+  nombre_comercial    VARCHAR(150) NOT NULL,
+  direccion           TEXT,
+  telefono            TEXT,
+  email_contacto      TEXT,
+  logo                TEXT,
+  fecha_creacion      TIMESTAMP NOT NULL DEFAULT NOW(),
+  fecha_actualizacion TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS trg_vendedores_upd ON vendedores;
+CREATE TRIGGER trg_vendedores_upd
+BEFORE UPDATE ON vendedores
+FOR EACH ROW EXECUTE FUNCTION set_fecha_actualizacion();
+
+CREATE INDEX IF NOT EXISTS idx_vendedores_nombre_lower ON vendedores (LOWER(nombre_comercial));
+
+-- comidas.empresa (texto libre) queda como respaldo para datos viejos
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS empresa TEXT;
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS vendedor_id INTEGER REFERENCES vendedores(id);
+CREATE INDEX IF NOT EXISTS idx_comidas_vendedor ON comidas (vendedor_id);
+
+-- Migra las empresas escritas a mano a vendedores (sin usuario asociado)
+INSERT INTO vendedores (nombre_comercial)
+SELECT DISTINCT TRIM(c.empresa)
+FROM comidas c
+WHERE c.vendedor_id IS NULL
+  AND NULLIF(TRIM(c.empresa), '') IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM vendedores v WHERE LOWER(v.nombre_comercial) = LOWER(TRIM(c.empresa))
+  );
+
+UPDATE comidas c
+SET vendedor_id = v.id
+FROM vendedores v
+WHERE c.vendedor_id IS NULL
+  AND LOWER(v.nombre_comercial) = LOWER(TRIM(c.empresa));
+
+COMMENT ON TABLE vendedores IS 'Negocios que publican comidas; usuario_id es la cuenta con rol vendedor';
@@ -0,0 +1,26 @@
+-- =========================================================
+-- STOCK DE COMIDAS Y RESERVAS EN CARRITO
+-- cantidad_disponible NULL = sin control de stock (datos viejos)
+-- Una reserva es un item en un carrito activo que no ha expirado, y solo
+-- hasta su reservado_hasta: carrito.js lo renueva por unos minutos al
+-- agregar el item o cambiar su cantidad (nunca después del cierre del
+-- retiro), así un carrito abandonado no retiene el stock.
+-- =========================================================
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS cantidad_disponible INTEGER;
+
+ALTER TABLE comidas DROP CONSTRAINT IF EXISTS comidas_cantidad_disponible_chk;
+ALTER TABLE comidas
+  ADD CONSTRAINT comidas_cantidad_disponible_chk
+  CHECK (cantidad_disponible IS NULL OR cantidad_disponible >= 0);
+
+ALTER TABLE carrito_items ADD COLUMN IF NOT EXISTS reservado_hasta TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_carritos_estado_exp ON carritos (estado, fecha_expiracion);
+
+CREATE OR REPLACE VIEW vista_reservas_activas AS
+SELECT ci.comida_id, ci.carrito_id, ci.cantidad
+FROM carrito_items ci
+JOIN carritos c ON c.id = ci.carrito_id
+WHERE c.estado = 'activo'
+  AND (c.fecha_expiracion IS NULL OR c.fecha_expiracion > NOW())
+  AND ci.reservado_hasta > NOW();
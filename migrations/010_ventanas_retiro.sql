@@ -0,0 +1,42 @@
+-- =========================================================
+-- VENTANA DE RETIRO Y CONSUMO PREFERENTE
+-- Una comida está vencida si cerró su ventana de retiro o pasó
+-- su fecha de consumo preferente. NULL = sin límite.
+-- =========================================================
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS retiro_desde TIMESTAMP;
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS retiro_hasta TIMESTAMP;
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS consumir_antes TIMESTAMP;
+
+ALTER TABLE comidas DROP CONSTRAINT IF EXISTS comidas_ventana_retiro_chk;
+ALTER TABLE comidas
+  ADD CONSTRAINT comidas_ventana_retiro_chk
+  CHECK (retiro_desde IS NULL OR retiro_hasta IS NULL OR retiro_desde < retiro_hasta);
+
+CREATE INDEX IF NOT EXISTS idx_comidas_retiro_hasta ON comidas (retiro_hasta);
+CREATE INDEX IF NOT EXISTS idx_comidas_consumir_antes ON comidas (consumir_antes);
+
+-- El pedido guarda la ventana vigente al momento de comprar
+ALTER TABLE pedido ADD COLUMN IF NOT EXISTS retiro_desde TIMESTAMP;
+ALTER TABLE pedido ADD COLUMN IF NOT EXISTS retiro_hasta TIMESTAMP;
+
+DROP VIEW IF EXISTS vista_pedidos_completos;
+CREATE VIEW vista_pedidos_completos AS
+SELECT 
+  p.id,
+  p.comida_id,
+  c.nombre      AS nombre_comida,
+  c.categoria   AS categoria_comida,
+  p.nombre_cliente,
+  p.email_cliente,
+  p.telefono_cliente,
+  p.direccion,
+  p.cantidad,
+  p.precio_total,
+  p.estado,
+  p.notas,
+  p.fecha_pedido,
+  p.fecha_actualizacion,
+  p.retiro_desde,
+  p.retiro_hasta
+FROM pedido p
+JOIN comidas c ON c.id = p.comida_id;
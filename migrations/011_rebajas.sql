@@ -0,0 +1,58 @@
+-- =========================================================
+-- REBAJAS PROGRAMADAS (precio decreciente al acercarse el cierre)
+-- Cada tramo aplica su descuento desde `minutos_antes` del fin de la
+-- ventana de retiro (comidas.retiro_hasta). Rige el mayor descuento
+-- alcanzado; sin retiro_hasta no hay rebaja.
+-- =========================================================
+CREATE TABLE IF NOT EXISTS comida_rebajas (
+  id                   SERIAL PRIMARY KEY,
+  comida_id            INTEGER NOT NULL REFERENCES comidas(id) ON DELETE CASCADE,
+  minutos_antes        INTEGER NOT NULL CHECK (minutos_antes > 0),
+  descuento_porcentaje NUMERIC(5,2) NOT NULL
+                       CHECK (descuento_porcentaje > 0 AND descuento_porcentaje < 100),
+  UNIQUE (comida_id, minutos_antes)
+);
+
+CREATE OR REPLACE FUNCTION descuento_vigente(p_comida_id INTEGER, p_retiro_hasta TIMESTAMP)
+RETURNS NUMERIC AS $$
+  SELECT COALESCE(MAX(r.descuento_porcentaje), 0)
+  FROM comida_rebajas r
+  WHERE r.comida_id = p_comida_id
+    AND p_retiro_hasta IS NOT NULL
+    AND NOW() >= p_retiro_hasta - make_interval(mins => r.minutos_antes)
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION precio_vigente(p_precio NUMERIC, p_comida_id INTEGER, p_retiro_hasta TIMESTAMP)
+RETURNS NUMERIC AS $$
+  SELECT ROUND(p_precio * (100 - descuento_vigente(p_comida_id, p_retiro_hasta)) / 100, 2)
+$$ LANGUAGE sql STABLE;
+
+-- Precio unitario de lista y descuento aplicados al crear el pedido
+ALTER TABLE pedido ADD COLUMN IF NOT EXISTS precio_original NUMERIC(10,2);
+ALTER TABLE pedido ADD COLUMN IF NOT EXISTS descuento_porcentaje NUMERIC(5,2) NOT NULL DEFAULT 0;
+
+DROP VIEW IF EXISTS vista_pedidos_completos;
+CREATE VIEW vista_pedidos_completos AS
+SELECT 
+  p.id,
+  p.comida_id,
+  c.nombre      AS nombre_comida,
+  c.categoria   AS categoria_comida,
+  p.nombre_cliente,
+  p.email_cliente,
+  p.telefono_cliente,
+  p.direccion,
+  p.cantidad,
+  p.precio_total,
+  p.estado,
+  p.notas,
+  p.fecha_pedido,
+  p.fecha_actualizacion,
+  p.retiro_desde,
+  p.retiro_hasta,
+  p.precio_original,
+  p.descuento_porcentaje
+FROM pedido p
+JOIN comidas c ON c.id = p.comida_id;
+
+COMMENT ON TABLE comida_rebajas IS 'Tramos de descuento por comida relativos al cierre de su ventana de retiro';
@@ -0,0 +1,27 @@
+-- =========================================================
+-- UBICACIÓN DE RETIRO DE LOS VENDEDORES Y BÚSQUEDA POR CERCANÍA
+-- Las comidas se retiran en la ubicación de su vendedor.
+-- =========================================================
+ALTER TABLE vendedores ADD COLUMN IF NOT EXISTS latitud DOUBLE PRECISION;
+ALTER TABLE vendedores ADD COLUMN IF NOT EXISTS longitud DOUBLE PRECISION;
+
+ALTER TABLE vendedores DROP CONSTRAINT IF EXISTS vendedores_ubicacion_chk;
+ALTER TABLE vendedores
+  ADD CONSTRAINT vendedores_ubicacion_chk CHECK (
+    (latitud IS NULL AND longitud IS NULL)
+    OR (latitud BETWEEN -90 AND 90 AND longitud BETWEEN -180 AND 180)
+  );
+
+CREATE INDEX IF NOT EXISTS idx_vendedores_ubicacion ON vendedores (latitud, longitud)
+  WHERE latitud IS NOT NULL;
+
+-- Distancia en km por la fórmula de haversine (radio terrestre medio 6371 km)
+CREATE OR REPLACE FUNCTION distancia_km(
+  lat1 DOUBLE PRECISION, lng1 DOUBLE PRECISION,
+  lat2 DOUBLE PRECISION, lng2 DOUBLE PRECISION
+) RETURNS DOUBLE PRECISION AS $$
+  SELECT 2 * 6371 * asin(sqrt(LEAST(1,
+    sin(radians(lat2 - lat1) / 2) ^ 2
+    + cos(radians(lat1)) * cos(radians(lat2)) * sin(radians(lng2 - lng1) / 2) ^ 2
+  )))
+$$ LANGUAGE sql IMMUTABLE;
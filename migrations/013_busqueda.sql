@@ -0,0 +1,67 @@
+-- =========================================================
+-- BÚSQUEDA DE TEXTO COMPLETO EN ESPAÑOL (sin acentos)
+-- comidas.busqueda se mantiene por trigger con: nombre (A),
+-- categoría y vendedor (B) y descripción (C).
+-- =========================================================
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'es_unaccent') THEN
+    CREATE TEXT SEARCH CONFIGURATION es_unaccent (COPY = spanish);
+    ALTER TEXT SEARCH CONFIGURATION es_unaccent
+      ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+  END IF;
+END $$;
+
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS descripcion TEXT;
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS busqueda TSVECTOR;
+
+CREATE OR REPLACE FUNCTION comida_busqueda_tsv(
+  p_nombre TEXT, p_descripcion TEXT, p_categoria TEXT, p_vendedor TEXT
+) RETURNS TSVECTOR AS $$
+  SELECT setweight(to_tsvector('es_unaccent', COALESCE(p_nombre, '')), 'A')
+      || setweight(to_tsvector('es_unaccent', COALESCE(p_categoria, '')), 'B')
+      || setweight(to_tsvector('es_unaccent', COALESCE(p_vendedor, '')), 'B')
+      || setweight(to_tsvector('es_unaccent', COALESCE(p_descripcion, '')), 'C')
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION set_comida_busqueda() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.busqueda := comida_busqueda_tsv(
+    NEW.nombre, NEW.descripcion, NEW.categoria,
+    COALESCE((SELECT nombre_comercial FROM vendedores WHERE id = NEW.vendedor_id), NEW.empresa)
+  );
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_comidas_busqueda ON comidas;
+CREATE TRIGGER trg_comidas_busqueda
+BEFORE INSERT OR UPDATE OF nombre, descripcion, categoria, vendedor_id, empresa ON comidas
+FOR EACH ROW EXECUTE FUNCTION set_comida_busqueda();
+
+-- Si el vendedor cambia de nombre se reindexan sus comidas
+CREATE OR REPLACE FUNCTION reindex_busqueda_vendedor() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE comidas
+  SET busqueda = comida_busqueda_tsv(nombre, descripcion, categoria, NEW.nombre_comercial)
+  WHERE vendedor_id = NEW.id;
+  RETURN NULL;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_vendedores_busqueda ON vendedores;
+CREATE TRIGGER trg_vendedores_busqueda
+AFTER UPDATE OF nombre_comercial ON vendedores
+FOR EACH ROW
+WHEN (OLD.nombre_comercial IS DISTINCT FROM NEW.nombre_comercial)
+EXECUTE FUNCTION reindex_busqueda_vendedor();
+
+-- Backfill de filas anteriores al trigger
+UPDATE comidas c
+SET busqueda = comida_busqueda_tsv(
+  c.nombre, c.descripcion, c.categoria,
+  COALESCE((SELECT v.nombre_comercial FROM vendedores v WHERE v.id = c.vendedor_id), c.empresa)
+)
+WHERE c.busqueda IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_comidas_busqueda ON comidas USING GIN (busqueda);
@@ -0,0 +1,13 @@
+-- =========================================================
+-- ETIQUETAS DIETARIAS DE LAS COMIDAS (filtros y facetas del catálogo)
+-- =========================================================
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS etiquetas TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE comidas DROP CONSTRAINT IF EXISTS comidas_etiquetas_chk;
+ALTER TABLE comidas
+  ADD CONSTRAINT comidas_etiquetas_chk CHECK (
+    etiquetas <@ ARRAY['vegetariano','vegano','sin_gluten','sin_lactosa','sin_azucar','halal','kosher']::TEXT[]
+  );
+
+CREATE INDEX IF NOT EXISTS idx_comidas_etiquetas ON comidas USING GIN (etiquetas);
+CREATE INDEX IF NOT EXISTS idx_comidas_categoria ON comidas (categoria);
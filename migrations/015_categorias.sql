@@ -0,0 +1,96 @@
+-- =========================================================
+-- CATEGORÍAS DE COMIDAS UNIFICADAS EN LA TABLA categoria
+-- comidas.categoria_id es la fuente de verdad; comidas.categoria queda
+-- como copia del nombre (la mantienen los triggers) para las consultas
+-- y vistas que la leen.
+-- =========================================================
+ALTER TABLE comidas DROP CONSTRAINT IF EXISTS comidas_categoria_chk;
+DROP INDEX IF EXISTS idx_comidas_categoria;
+
+-- La copia debe admitir nombres de hasta 120 caracteres como categoria.nombre
+-- (la vista y el trigger de búsqueda dependen de la columna; se recrean abajo)
+DROP VIEW IF EXISTS vista_pedidos_completos;
+DROP TRIGGER IF EXISTS trg_comidas_busqueda ON comidas;
+DO $$
+BEGIN
+  IF (SELECT character_maximum_length FROM information_schema.columns
+      WHERE table_name = 'comidas' AND column_name = 'categoria') < 120 THEN
+    ALTER TABLE comidas ALTER COLUMN categoria TYPE VARCHAR(120);
+  END IF;
+END $$;
+
+-- Categorías escritas a mano que aún no existen en la tabla
+INSERT INTO categoria (nombre)
+SELECT DISTINCT TRIM(c.categoria)
+FROM comidas c
+WHERE c.categoria_id IS NULL
+  AND NULLIF(TRIM(c.categoria), '') IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM categoria k WHERE LOWER(k.nombre) = LOWER(TRIM(c.categoria))
+  );
+
+UPDATE comidas c
+SET categoria_id = k.id
+FROM categoria k
+WHERE c.categoria_id IS NULL
+  AND LOWER(k.nombre) = LOWER(TRIM(c.categoria));
+
+-- categoria_id manda; si solo llega el nombre (datos viejos) se resuelve el id
+CREATE OR REPLACE FUNCTION set_comida_categoria() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' AND NEW.categoria_id IS NULL AND NEW.categoria IS NOT NULL
+     OR TG_OP = 'UPDATE' AND NEW.categoria_id IS NOT DISTINCT FROM OLD.categoria_id
+        AND NEW.categoria IS DISTINCT FROM OLD.categoria THEN
+    NEW.categoria_id := (SELECT id FROM categoria WHERE LOWER(nombre) = LOWER(TRIM(NEW.categoria)));
+  END IF;
+  NEW.categoria := (SELECT nombre FROM categoria WHERE id = NEW.categoria_id);
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+-- Los triggers BEFORE corren por orden alfabético: este debe ir antes que
+-- trg_comidas_busqueda para que el índice de búsqueda vea el nombre resuelto
+DROP TRIGGER IF EXISTS trg_comidas_asignar_categoria ON comidas;
+CREATE TRIGGER trg_comidas_asignar_categoria
+BEFORE INSERT OR UPDATE OF categoria, categoria_id ON comidas
+FOR EACH ROW EXECUTE FUNCTION set_comida_categoria();
+
+CREATE TRIGGER trg_comidas_busqueda
+BEFORE INSERT OR UPDATE OF nombre, descripcion, categoria, categoria_id, vendedor_id, empresa ON comidas
+FOR EACH ROW EXECUTE FUNCTION set_comida_busqueda();
+
+-- Renombrar una categoría actualiza la copia en sus comidas
+CREATE OR REPLACE FUNCTION propagar_nombre_categoria() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE comidas SET categoria = NEW.nombre WHERE categoria_id = NEW.id;
+  RETURN NULL;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_categoria_nombre ON categoria;
+CREATE TRIGGER trg_categoria_nombre
+AFTER UPDATE OF nombre ON categoria
+FOR EACH ROW
+WHEN (OLD.nombre IS DISTINCT FROM NEW.nombre)
+EXECUTE FUNCTION propagar_nombre_categoria();
+
+CREATE VIEW vista_pedidos_completos AS
+SELECT 
+  p.id,
+  p.comida_id,
+  c.nombre      AS nombre_comida,
+  c.categoria   AS categoria_comida,
+  p.nombre_cliente,
+  p.email_cliente,
+  p.telefono_cliente,
+  p.direccion,
+  p.cantidad,
+  p.precio_total,
+  p.estado,
+  p.notas,
+  p.fecha_pedido,
+  p.fecha_actualizacion,
+  p.retiro_desde,
+  p.retiro_hasta,
+  p.precio_original,
+  p.descuento_porcentaje
+FROM pedido p
+JOIN comidas c ON c.id = p.comida_id;
@@ -0,0 +1,66 @@
+-- =========================================================
+-- CATEGORÍAS JERÁRQUICAS: padre/hijas, slug para URLs, orden e ícono
+-- =========================================================
+ALTER TABLE categoria ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categoria(id) ON DELETE RESTRICT;
+ALTER TABLE categoria ADD COLUMN IF NOT EXISTS slug      VARCHAR(140);
+ALTER TABLE categoria ADD COLUMN IF NOT EXISTS orden     INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE categoria ADD COLUMN IF NOT EXISTS icono     TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'categoria_parent_chk') THEN
+    ALTER TABLE categoria ADD CONSTRAINT categoria_parent_chk CHECK (parent_id IS NULL OR parent_id <> id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_categoria_parent ON categoria (parent_id);
+
+-- "Pan dulce" -> "pan-dulce", "Panadería" -> "panaderia"
+CREATE OR REPLACE FUNCTION slugify(p_texto TEXT) RETURNS TEXT AS $$
+  SELECT COALESCE(
+    NULLIF(TRIM(BOTH '-' FROM regexp_replace(lower(unaccent(COALESCE(p_texto, ''))), '[^a-z0-9]+', '-', 'g')), ''),
+    'categoria'
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Slugs de las categorías existentes; si dos nombres dan el mismo slug se agrega el id
+UPDATE categoria k
+SET slug = CASE WHEN s.n > 1 THEN s.base || '-' || k.id ELSE s.base END
+FROM (
+  SELECT id, slugify(nombre) AS base,
+         ROW_NUMBER() OVER (PARTITION BY slugify(nombre) ORDER BY id) AS n
+  FROM categoria
+) s
+WHERE s.id = k.id AND k.slug IS NULL;
+
+ALTER TABLE categoria ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS ux_categoria_slug ON categoria (slug);
+
+-- Sin slug explícito se genera a partir del nombre (también para los INSERT de las migraciones)
+CREATE OR REPLACE FUNCTION set_categoria_slug() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.slug IS NULL THEN
+    NEW.slug := slugify(NEW.nombre);
+    IF EXISTS (SELECT 1 FROM categoria WHERE slug = NEW.slug AND id <> NEW.id) THEN
+      NEW.slug := NEW.slug || '-' || NEW.id;
+    END IF;
+  END IF;
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_categoria_slug ON categoria;
+CREATE TRIGGER trg_categoria_slug
+BEFORE INSERT OR UPDATE OF slug ON categoria
+FOR EACH ROW EXECUTE FUNCTION set_categoria_slug();
+
+-- La categoría y todas sus descendientes (para filtrar comidas por rama)
+CREATE OR REPLACE FUNCTION categoria_descendientes(p_id INTEGER) RETURNS SETOF INTEGER AS $$
+  WITH RECURSIVE rama AS (
+    SELECT id FROM categoria WHERE id = p_id
+    UNION
+    SELECT k.id FROM categoria k JOIN rama r ON k.parent_id = r.id
+  )
+  SELECT id FROM rama;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON COLUMN categoria.orden IS 'Orden de presentación entre hermanas (menor primero)';
@@ -0,0 +1,21 @@
+-- =========================================================
+-- IMÁGENES SUBIDAS DE LAS COMIDAS
+-- clave identifica el archivo en el almacenamiento (storage.js);
+-- comidas.imagen guarda la URL de la imagen principal para los listados.
+-- =========================================================
+CREATE TABLE IF NOT EXISTS comida_imagenes (
+  id             SERIAL PRIMARY KEY,
+  comida_id      INTEGER NOT NULL REFERENCES comidas(id) ON DELETE CASCADE,
+  clave          TEXT NOT NULL UNIQUE,
+  url            TEXT NOT NULL,
+  tipo           VARCHAR(40) NOT NULL,
+  tamano_bytes   INTEGER NOT NULL CHECK (tamano_bytes > 0),
+  es_principal   BOOLEAN NOT NULL DEFAULT FALSE,
+  fecha_creacion TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comida_imagenes_comida ON comida_imagenes (comida_id);
+
+-- Una sola imagen principal por comida
+CREATE UNIQUE INDEX IF NOT EXISTS ux_comida_imagenes_principal
+  ON comida_imagenes (comida_id) WHERE es_principal;
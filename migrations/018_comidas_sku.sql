@@ -0,0 +1,10 @@
+-- =========================================================
+-- SKU EXTERNO DE LAS COMIDAS (importación CSV)
+-- Lo define el vendedor; identifica la comida dentro de su negocio
+-- para que reimportar el mismo archivo actualice en vez de duplicar.
+-- =========================================================
+ALTER TABLE comidas ADD COLUMN IF NOT EXISTS sku VARCHAR(64);
+
+-- Comidas sin vendedor (cargadas por el admin) comparten el espacio 0
+CREATE UNIQUE INDEX IF NOT EXISTS ux_comidas_vendedor_sku
+  ON comidas ((COALESCE(vendedor_id, 0)), sku) WHERE sku IS NOT NULL;
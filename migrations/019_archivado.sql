@@ -0,0 +1,13 @@
+-- =========================================================
+-- ARCHIVADO (BORRADO LÓGICO) DE COMIDAS Y CATEGORÍAS
+-- DELETE marca archivado_en: la fila sigue existiendo para los pedidos,
+-- pagos y vista_pedidos_completos, pero deja de ofrecerse.
+-- =========================================================
+ALTER TABLE comidas   ADD COLUMN IF NOT EXISTS archivado_en TIMESTAMP;
+ALTER TABLE categoria ADD COLUMN IF NOT EXISTS archivado_en TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_comidas_archivadas   ON comidas (archivado_en) WHERE archivado_en IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_categoria_archivadas ON categoria (archivado_en) WHERE archivado_en IS NOT NULL;
+
+COMMENT ON COLUMN comidas.archivado_en IS 'NULL = activa; si no, fecha en que se archivó (DELETE /api/comidas/:id)';
+COMMENT ON COLUMN categoria.archivado_en IS 'NULL = activa; si no, fecha en que se archivó (DELETE /api/categorias/:id)';
@@ -0,0 +1,23 @@
+-- =========================================================
+-- AUDITORÍA DE CAMBIOS (auditoria.js)
+-- Una fila por cambio hecho desde la API: quién, qué, sobre qué fila y
+-- los valores antes/después de los campos que cambiaron.
+-- Las altas solo tienen `despues` y las bajas definitivas solo `antes`.
+-- =========================================================
+CREATE TABLE IF NOT EXISTS auditoria (
+  id          SERIAL PRIMARY KEY,
+  usuario_id  INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,  -- NULL = cliente anónimo o sistema
+  rol         VARCHAR(20),
+  accion      VARCHAR(40) NOT NULL,      -- crear | actualizar | archivar | restaurar | eliminar | cambiar_estado ...
+  entidad     VARCHAR(40) NOT NULL,      -- comida | categoria | pedido | sistema
+  entidad_id  INTEGER,
+  antes       JSONB,
+  despues     JSONB,
+  ip          TEXT,
+  user_agent  TEXT,
+  fecha       TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditoria_fecha   ON auditoria (fecha DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_auditoria_entidad ON auditoria (entidad, entidad_id, fecha DESC);
+CREATE INDEX IF NOT EXISTS idx_auditoria_usuario ON auditoria (usuario_id, fecha DESC) WHERE usuario_id IS NOT NULL;
@@ -0,0 +1,72 @@
+-- =========================================================
+-- ESTADOS DE LOS PEDIDOS E HISTORIAL DE CAMBIOS (estadosPedido.js)
+-- El checkout crea pedidos en pendiente_pago / pendiente_verificacion,
+-- que el CHECK original no admitía ('pendiente_verificacion' además
+-- excede VARCHAR(20)). El pago por QR también queda en
+-- pendiente_verificacion, que el CHECK de pagos tampoco admitía.
+-- =========================================================
+
+-- La vista depende de pedido.estado; se recrea abajo
+DROP VIEW IF EXISTS vista_pedidos_completos;
+DO $$
+BEGIN
+  IF (SELECT character_maximum_length FROM information_schema.columns
+      WHERE table_name = 'pedido' AND column_name = 'estado') < 30 THEN
+    ALTER TABLE pedido ALTER COLUMN estado TYPE VARCHAR(30);
+  END IF;
+END $$;
+
+ALTER TABLE pedido DROP CONSTRAINT IF EXISTS pedido_estado_check;
+ALTER TABLE pedido ADD CONSTRAINT pedido_estado_check CHECK (estado IN (
+  'pendiente', 'pendiente_pago', 'pendiente_verificacion',
+  'confirmado', 'en-preparacion', 'listo', 'entregado', 'cancelado'
+));
+
+ALTER TABLE pagos DROP CONSTRAINT IF EXISTS pagos_estado_check;
+ALTER TABLE pagos ADD CONSTRAINT pagos_estado_check CHECK (estado IN (
+  'pendiente', 'pendiente_verificacion', 'procesando',
+  'exitoso', 'fallido', 'cancelado', 'reembolsado'
+));
+
+CREATE VIEW vista_pedidos_completos AS
+SELECT
+  p.id,
+  p.comida_id,
+  c.nombre      AS nombre_comida,
+  c.categoria   AS categoria_comida,
+  p.nombre_cliente,
+  p.email_cliente,
+  p.telefono_cliente,
+  p.direccion,
+  p.cantidad,
+  p.precio_total,
+  p.estado,
+  p.notas,
+  p.fecha_pedido,
+  p.fecha_actualizacion,
+  p.retiro_desde,
+  p.retiro_hasta,
+  p.precio_original,
+  p.descuento_porcentaje
+FROM pedido p
+JOIN comidas c ON c.id = p.comida_id;
+
+-- Una fila por cambio de estado; estado_anterior NULL = estado con el que se creó
+CREATE TABLE IF NOT EXISTS pedido_historial_estados (
+  id               SERIAL PRIMARY KEY,
+  pedido_id        INTEGER NOT NULL REFERENCES pedido(id) ON DELETE CASCADE,
+  estado_anterior  VARCHAR(30),
+  estado_nuevo     VARCHAR(30) NOT NULL,
+  usuario_id       INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,  -- NULL = cliente o sistema
+  rol              VARCHAR(20),
+  nota             TEXT,
+  fecha            TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pedido_historial_pedido ON pedido_historial_estados (pedido_id, fecha);
+
+-- Los pedidos anteriores al historial arrancan con su estado actual
+INSERT INTO pedido_historial_estados (pedido_id, estado_nuevo, nota, fecha)
+SELECT p.id, p.estado, 'Estado al habilitar el historial', p.fecha_actualizacion
+FROM pedido p
+WHERE NOT EXISTS (SELECT 1 FROM pedido_historial_estados h WHERE h.pedido_id = p.id);
@@ -0,0 +1,349 @@
+-- =========================================================
+-- PEDIDOS CON VARIAS LÍNEAS: pedidos (encabezado) + pedido_comida (líneas)
+-- Un checkout crea un solo pedido con una línea por ítem del carrito y el
+-- pago apunta a ese pedido. Cada línea tiene su estado: un vendedor solo
+-- mueve las suyas y el del pedido se calcula (estado_por_lineas).
+-- Los pedidos de la tabla "pedido" (un ítem por fila) se mueven al modelo
+-- nuevo, uno por carrito; "pedido" queda vacía.
+-- vista_pedidos_completos mantiene las columnas de antes (una fila por pedido)
+-- y vista_pedidos_vendedor muestra a cada vendedor solo su parte.
+-- =========================================================
+
+-- Los endpoints ya guardaban el método de pago; faltaba en las migraciones
+ALTER TABLE pedido ADD COLUMN IF NOT EXISTS metodo_pago TEXT;
+
+DROP VIEW IF EXISTS vista_pedidos_completos;
+DROP VIEW IF EXISTS vista_pedidos_vendedor;
+
+-- ---------- Encabezado ----------
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS nombre_cliente      TEXT;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS email_cliente       TEXT;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS telefono_cliente    TEXT;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS direccion           TEXT;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS notas               TEXT;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS metodo_pago         TEXT;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS precio_total        NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (precio_total >= 0);
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS carrito_id          INTEGER REFERENCES carritos(id) ON DELETE SET NULL;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS fecha_actualizacion TIMESTAMP NOT NULL DEFAULT NOW();
+
+-- Mismos estados que pedido (migración 021)
+DO $$
+BEGIN
+  IF (SELECT character_maximum_length FROM information_schema.columns
+      WHERE table_name = 'pedidos' AND column_name = 'estado') < 30 THEN
+    ALTER TABLE pedidos ALTER COLUMN estado TYPE VARCHAR(30);
+  END IF;
+END $$;
+
+ALTER TABLE pedidos DROP CONSTRAINT IF EXISTS pedidos_estado_check;
+ALTER TABLE pedidos ADD CONSTRAINT pedidos_estado_check CHECK (estado IN (
+  'pendiente', 'pendiente_pago', 'pendiente_verificacion',
+  'confirmado', 'en-preparacion', 'listo', 'entregado', 'cancelado'
+));
+
+DROP TRIGGER IF EXISTS trg_pedidos_upd ON pedidos;
+CREATE TRIGGER trg_pedidos_upd
+BEFORE UPDATE ON pedidos
+FOR EACH ROW EXECUTE FUNCTION set_fecha_actualizacion();
+
+CREATE INDEX IF NOT EXISTS idx_pedidos_estado  ON pedidos (estado);
+CREATE INDEX IF NOT EXISTS idx_pedidos_fecha   ON pedidos (fecha);
+CREATE INDEX IF NOT EXISTS idx_pedidos_email   ON pedidos (LOWER(email_cliente));
+CREATE INDEX IF NOT EXISTS idx_pedidos_usuario ON pedidos (usuario_id);
+
+-- ---------- Líneas ----------
+-- precio = unitario cobrado; subtotal = lo cobrado por la línea
+ALTER TABLE pedido_comida ADD COLUMN IF NOT EXISTS subtotal             NUMERIC(12,2);
+ALTER TABLE pedido_comida ADD COLUMN IF NOT EXISTS precio_original      NUMERIC(10,2);
+ALTER TABLE pedido_comida ADD COLUMN IF NOT EXISTS descuento_porcentaje NUMERIC(5,2) NOT NULL DEFAULT 0;
+ALTER TABLE pedido_comida ADD COLUMN IF NOT EXISTS retiro_desde         TIMESTAMP;
+ALTER TABLE pedido_comida ADD COLUMN IF NOT EXISTS retiro_hasta         TIMESTAMP;
+ALTER TABLE pedido_comida ADD COLUMN IF NOT EXISTS notas                TEXT;
+
+ALTER TABLE pedido_comida ADD COLUMN IF NOT EXISTS estado               VARCHAR(30);
+
+UPDATE pedido_comida SET subtotal = precio * cantidad WHERE subtotal IS NULL;
+ALTER TABLE pedido_comida ALTER COLUMN subtotal SET NOT NULL;
+
+UPDATE pedido_comida pc SET estado = p.estado
+FROM pedidos p
+WHERE p.id = pc.pedido_id AND pc.estado IS NULL;
+ALTER TABLE pedido_comida ALTER COLUMN estado SET NOT NULL;
+
+ALTER TABLE pedido_comida DROP CONSTRAINT IF EXISTS pedido_comida_estado_check;
+ALTER TABLE pedido_comida ADD CONSTRAINT pedido_comida_estado_check CHECK (estado IN (
+  'pendiente', 'pendiente_pago', 'pendiente_verificacion',
+  'confirmado', 'en-preparacion', 'listo', 'entregado', 'cancelado'
+));
+
+-- Estado de un pedido (o de la parte de un vendedor) según el de sus líneas:
+-- el menos avanzado de las que siguen vivas, o cancelado si se cancelaron todas.
+-- NULL si no hay líneas. estadosPedido.js aplica la misma regla.
+CREATE OR REPLACE FUNCTION estado_por_lineas(estados TEXT[]) RETURNS TEXT AS $$
+  SELECT COALESCE(
+    (SELECT e FROM unnest(estados) e
+     WHERE e <> 'cancelado'
+     ORDER BY array_position(ARRAY['pendiente', 'pendiente_pago', 'pendiente_verificacion',
+                                   'confirmado', 'en-preparacion', 'listo', 'entregado'], e)
+     LIMIT 1),
+    CASE WHEN cardinality(estados) > 0 THEN 'cancelado' END
+  )
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_pedido_comida_comida ON pedido_comida (comida_id);
+
+-- ---------- Pagos e historial pasan a referenciar pedidos ----------
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_constraint
+             WHERE conname = 'pagos_pedido_id_fkey' AND confrelid = 'pedido'::regclass) THEN
+    ALTER TABLE pagos DROP CONSTRAINT pagos_pedido_id_fkey;
+  END IF;
+  IF EXISTS (SELECT 1 FROM pg_constraint
+             WHERE conname = 'pedido_historial_estados_pedido_id_fkey' AND confrelid = 'pedido'::regclass) THEN
+    ALTER TABLE pedido_historial_estados DROP CONSTRAINT pedido_historial_estados_pedido_id_fkey;
+  END IF;
+END $$;
+
+-- Historial: NULL = estado del pedido; con vendedor = estado de sus líneas
+ALTER TABLE pedido_historial_estados ADD COLUMN IF NOT EXISTS vendedor_id INTEGER REFERENCES vendedores(id) ON DELETE SET NULL;
+
+-- ---------- Mover los pedidos de un ítem ----------
+-- Id que recibió cada fila de "pedido"; pagos, historial y auditoría ya se actualizaron
+CREATE TABLE IF NOT EXISTS pedido_ids_movidos (
+  pedido_viejo INTEGER PRIMARY KEY,
+  pedido_nuevo INTEGER NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE
+);
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pedido) THEN
+    -- Los ids nuevos siguen después de todos los usados en las dos tablas
+    -- (también los borrados, que pueden seguir en la auditoría)
+    PERFORM setval('pedidos_id_seq', GREATEST(
+      (SELECT COALESCE(MAX(id), 0) FROM pedidos),
+      (SELECT COALESCE(MAX(id), 0) FROM pedido),
+      (SELECT last_value FROM pedido_id_seq),
+      (SELECT last_value FROM pedidos_id_seq)
+    ));
+
+    -- El checkout anterior creaba una fila por ítem, todas en la misma transacción
+    -- (misma fecha_pedido y email), y el pago apuntaba a la primera: las filas
+    -- de un mismo carrito forman un pedido. Sin pago, cada fila es un pedido.
+    CREATE TEMP TABLE pedido_grupos ON COMMIT DROP AS
+    SELECT p.id AS pedido_viejo,
+           pg.carrito_id,
+           MIN(p.id) OVER (PARTITION BY pg.carrito_id, CASE WHEN pg.carrito_id IS NULL THEN p.id END) AS principal
+    FROM pedido p
+    LEFT JOIN LATERAL (
+      SELECT pa.carrito_id
+      FROM pagos pa
+      JOIN pedido p0 ON p0.id = pa.pedido_id
+      WHERE pa.carrito_id IS NOT NULL
+        AND p0.fecha_pedido = p.fecha_pedido
+        AND LOWER(p0.email_cliente) = LOWER(p.email_cliente)
+      ORDER BY pa.id
+      LIMIT 1
+    ) pg ON TRUE;
+
+    -- Cada pedido conserva el id de su primera fila salvo que ya lo use otro en pedidos
+    CREATE TEMP TABLE pedido_nuevos ON COMMIT DROP AS
+    SELECT g.principal,
+           CASE WHEN EXISTS (SELECT 1 FROM pedidos x WHERE x.id = g.principal)
+                THEN nextval('pedidos_id_seq')::int
+                ELSE g.principal
+           END AS pedido_nuevo
+    FROM (SELECT DISTINCT principal FROM pedido_grupos ORDER BY principal) g;
+
+    INSERT INTO pedidos (id, estado, fecha, fecha_actualizacion, nombre_cliente, email_cliente,
+                         telefono_cliente, direccion, notas, metodo_pago, precio_total, carrito_id)
+    SELECT n.pedido_nuevo, t.estado, pr.fecha_pedido, t.fecha_actualizacion, pr.nombre_cliente,
+           pr.email_cliente, pr.telefono_cliente, pr.direccion, t.notas, pr.metodo_pago, t.total, t.carrito_id
+    FROM pedido_nuevos n
+    JOIN pedido pr ON pr.id = n.principal
+    JOIN (
+      SELECT g.principal,
+             MAX(g.carrito_id) AS carrito_id,
+             SUM(p.precio_total) AS total,
+             MAX(p.fecha_actualizacion) AS fecha_actualizacion,
+             STRING_AGG(p.notas, ' | ' ORDER BY p.id) AS notas,
+             estado_por_lineas(ARRAY_AGG(p.estado::text)) AS estado
+      FROM pedido_grupos g
+      JOIN pedido p ON p.id = g.pedido_viejo
+      GROUP BY g.principal
+    ) t ON t.principal = n.principal;
+
+    INSERT INTO pedido_ids_movidos (pedido_viejo, pedido_nuevo)
+    SELECT g.pedido_viejo, n.pedido_nuevo
+    FROM pedido_grupos g
+    JOIN pedido_nuevos n ON n.principal = g.principal;
+
+    INSERT INTO pedido_comida (pedido_id, comida_id, cantidad, precio, subtotal, precio_original,
+                               descuento_porcentaje, retiro_desde, retiro_hasta, estado)
+    SELECT n.pedido_nuevo, p.comida_id, p.cantidad, ROUND(p.precio_total / p.cantidad, 2), p.precio_total,
+           p.precio_original, p.descuento_porcentaje, p.retiro_desde, p.retiro_hasta, p.estado
+    FROM pedido p
+    JOIN pedido_grupos g ON g.pedido_viejo = p.id
+    JOIN pedido_nuevos n ON n.principal = g.principal
+    ORDER BY p.id;
+
+    -- Hasta aquí pagos, historial y auditoría de pedidos usaban los ids de "pedido"
+    UPDATE pagos pa SET pedido_id = n.pedido_nuevo
+    FROM pedido_grupos g JOIN pedido_nuevos n ON n.principal = g.principal
+    WHERE pa.pedido_id = g.pedido_viejo;
+
+    UPDATE pedido_historial_estados h SET pedido_id = n.pedido_nuevo
+    FROM pedido_grupos g JOIN pedido_nuevos n ON n.principal = g.principal
+    WHERE h.pedido_id = g.pedido_viejo;
+
+    -- Las filas de un mismo carrito se crearon juntas: su historial queda repetido
+    DELETE FROM pedido_historial_estados h
+    USING pedido_historial_estados h2
+    WHERE h.pedido_id IN (SELECT pedido_nuevo FROM pedido_nuevos)
+      AND h2.pedido_id = h.pedido_id
+      AND h2.id < h.id
+      AND h2.estado_anterior IS NOT DISTINCT FROM h.estado_anterior
+      AND h2.estado_nuevo = h.estado_nuevo
+      AND h2.usuario_id IS NOT DISTINCT FROM h.usuario_id
+      AND h2.nota IS NOT DISTINCT FROM h.nota
+      AND h2.fecha = h.fecha;
+
+    UPDATE auditoria a SET entidad_id = n.pedido_nuevo
+    FROM pedido_grupos g JOIN pedido_nuevos n ON n.principal = g.principal
+    WHERE a.entidad = 'pedido' AND a.entidad_id = g.pedido_viejo;
+
+    DELETE FROM pedido;
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'pagos_pedido_id_fkey') THEN
+    ALTER TABLE pagos ADD CONSTRAINT pagos_pedido_id_fkey
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id);
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'pedido_historial_estados_pedido_id_fkey') THEN
+    ALTER TABLE pedido_historial_estados ADD CONSTRAINT pedido_historial_estados_pedido_id_fkey
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+
+-- Pedidos que ya estaban en el modelo nuevo y no tienen historial
+INSERT INTO pedido_historial_estados (pedido_id, estado_nuevo, nota, fecha)
+SELECT p.id, p.estado, 'Estado al habilitar el historial', p.fecha_actualizacion
+FROM pedidos p
+WHERE NOT EXISTS (SELECT 1 FROM pedido_historial_estados h WHERE h.pedido_id = p.id);
+
+COMMENT ON TABLE pedido IS 'Modelo anterior (un ítem por fila); sus pedidos se movieron a pedidos + pedido_comida (migración 022)';
+
+-- ---------- Vista de compatibilidad ----------
+-- Una fila por pedido con las columnas de siempre. comida_id, nombre_comida, ventana de
+-- retiro y rebaja son los de la primera línea (en los pedidos de un ítem, los únicos);
+-- cantidad suma todas las líneas e items las detalla.
+CREATE VIEW vista_pedidos_completos AS
+SELECT
+  p.id,
+  l.comida_id,
+  c.nombre      AS nombre_comida,
+  c.categoria   AS categoria_comida,
+  p.nombre_cliente,
+  p.email_cliente,
+  p.telefono_cliente,
+  p.direccion,
+  t.cantidad,
+  p.precio_total,
+  p.estado,
+  p.notas,
+  p.fecha       AS fecha_pedido,
+  p.fecha_actualizacion,
+  l.retiro_desde,
+  l.retiro_hasta,
+  l.precio_original,
+  l.descuento_porcentaje,
+  p.metodo_pago,
+  p.usuario_id,
+  t.items
+FROM pedidos p
+LEFT JOIN LATERAL (
+  SELECT * FROM pedido_comida WHERE pedido_id = p.id ORDER BY id LIMIT 1
+) l ON TRUE
+LEFT JOIN comidas c ON c.id = l.comida_id
+LEFT JOIN LATERAL (
+  SELECT COALESCE(SUM(pc.cantidad), 0)::int AS cantidad,
+         COALESCE(json_agg(json_build_object(
+           'id', pc.id,
+           'comida_id', pc.comida_id,
+           'nombre_comida', ci.nombre,
+           'vendedor_id', ci.vendedor_id,
+           'cantidad', pc.cantidad,
+           'precio_unitario', pc.precio,
+           'subtotal', pc.subtotal,
+           'precio_original', pc.precio_original,
+           'descuento_porcentaje', pc.descuento_porcentaje,
+           'retiro_desde', pc.retiro_desde,
+           'retiro_hasta', pc.retiro_hasta,
+           'notas', pc.notas,
+           'estado', pc.estado
+         ) ORDER BY pc.id), '[]') AS items
+  FROM pedido_comida pc
+  JOIN comidas ci ON ci.id = pc.comida_id
+  WHERE pc.pedido_id = p.id
+) t ON TRUE;
+
+-- Una fila por pedido y vendedor, solo con las líneas de ese vendedor: cantidad,
+-- precio_total, estado e items son los de su parte; estado_pedido, el del pedido.
+-- Sin notas del pedido (llevan datos del pago y de los demás vendedores).
+CREATE VIEW vista_pedidos_vendedor AS
+SELECT
+  p.id,
+  l.vendedor_id,
+  l.comida_id,
+  c.nombre      AS nombre_comida,
+  c.categoria   AS categoria_comida,
+  p.nombre_cliente,
+  p.email_cliente,
+  p.telefono_cliente,
+  p.direccion,
+  l.cantidad,
+  l.precio_total,
+  l.estado,
+  p.estado      AS estado_pedido,
+  p.fecha       AS fecha_pedido,
+  p.fecha_actualizacion,
+  l.retiro_desde,
+  l.retiro_hasta,
+  l.precio_original,
+  l.descuento_porcentaje,
+  p.metodo_pago,
+  l.items
+FROM pedidos p
+JOIN LATERAL (
+  SELECT ci.vendedor_id,
+         (ARRAY_AGG(pc.comida_id ORDER BY pc.id))[1]            AS comida_id,
+         SUM(pc.cantidad)::int                                  AS cantidad,
+         SUM(pc.subtotal)                                       AS precio_total,
+         estado_por_lineas(ARRAY_AGG(pc.estado::text))          AS estado,
+         (ARRAY_AGG(pc.retiro_desde ORDER BY pc.id))[1]         AS retiro_desde,
+         (ARRAY_AGG(pc.retiro_hasta ORDER BY pc.id))[1]         AS retiro_hasta,
+         (ARRAY_AGG(pc.precio_original ORDER BY pc.id))[1]      AS precio_original,
+         (ARRAY_AGG(pc.descuento_porcentaje ORDER BY pc.id))[1] AS descuento_porcentaje,
+         json_agg(json_build_object(
+           'id', pc.id,
+           'comida_id', pc.comida_id,
+           'nombre_comida', ci.nombre,
+           'cantidad', pc.cantidad,
+           'precio_unitario', pc.precio,
+           'subtotal', pc.subtotal,
+           'precio_original', pc.precio_original,
+           'descuento_porcentaje', pc.descuento_porcentaje,
+           'retiro_desde', pc.retiro_desde,
+           'retiro_hasta', pc.retiro_hasta,
+           'notas', pc.notas,
+           'estado', pc.estado
+         ) ORDER BY pc.id) AS items
+  FROM pedido_comida pc
+  JOIN comidas ci ON ci.id = pc.comida_id
+  WHERE pc.pedido_id = p.id AND ci.vendedor_id IS NOT NULL
+  GROUP BY ci.vendedor_id
+) l ON TRUE
+JOIN comidas c ON c.id = l.comida_id;
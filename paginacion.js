@@ -0,0 +1,57 @@
+// paginacion.js - Paginación por cursor (keyset) para los listados
+// El cursor es opaco para el cliente: codifica el orden pedido y la clave
+// (valor de orden, id) de la última fila entregada.
+'use strict';
+
+const encodeCursor = (datos) => Buffer.from(JSON.stringify(datos)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Lee ?cursor= y verifica que corresponda al mismo orden (`orden`, p. ej. "precio:ASC").
+ * Devuelve { value: { v, id } | null } o { error }.
+ */
+const parseCursor = (raw, orden) => {
+  const texto = typeof raw === 'string' ? raw.trim() : '';
+  if (!texto) return { value: null };
+
+  const c = decodeCursor(texto);
+  if (!c || c.o !== orden || !Number.isInteger(c.id) || typeof c.v !== 'string') {
+    return { error: 'Cursor inválido para este listado u orden' };
+  }
+  return { value: c };
+};
+
+/**
+ * Condición "después del cursor" para ORDER BY `expr` dir, `idExpr` dir.
+ * Agrega los parámetros a `params` y devuelve el SQL.
+ */
+const cursorWhere = (expr, idExpr, dir, cursor, params) => {
+  params.push(cursor.v, cursor.id);
+  const op = dir === 'ASC' ? '>' : '<';
+  return `(${expr}, ${idExpr}) ${op} ($${params.length - 1}, $${params.length})`;
+};
+
+/**
+ * Recibe las filas pedidas con LIMIT limit + 1 (cada una con `id` y
+ * `cursor_valor` = expr::text) y devuelve { items, next_cursor }.
+ */
+const paginar = (rows, limit, orden) => {
+  const pagina = rows.slice(0, limit);
+  const ultima = pagina[pagina.length - 1];
+  const next_cursor = rows.length > limit && ultima
+    ? encodeCursor({ o: orden, v: ultima.cursor_valor, id: ultima.id })
+    : null;
+  const items = pagina.map(({ cursor_valor: _c, ...r }) => r);
+  return { items, next_cursor };
+};
+
+const quiereTotal = (v) => ['1', 'true', 'si', 'sí'].includes(String(v ?? '').trim().toLowerCase());
+
+module.exports = { parseCursor, cursorWhere, paginar, quiereTotal };
@@ -1,22 +1,22 @@
 // pedidos.js - Versión con Pagos Simulados
 const express = require('express');
 const pool = require('./db');
+const { optionalAuth } = require('./authMiddleware');
+const { ROLES, authorize, loadVendedor } = require('./permisos');
+const { parseCursor, cursorWhere, paginar, quiereTotal } = require('./paginacion');
+const { leerFila, registrarAuditoria, auditarCambio } = require('./auditoria');
+const {
+  ESTADOS_VALIDOS, registrarEstado, cambiarEstado
+} = require('./estadosPedido');
+const {
+  comidaVigenteSql, descontarStock, devolverStock, reponerStock, stockInsuficiente, comidaVencida
+} = require('./stock');
+const { crearPedidoDesdeCarrito } = require('./pedidoDesdeCarrito');
 const router = express.Router();
 
 // ============================================
 // CONSTANTES Y UTILIDADES
 // ============================================
-const ESTADOS_VALIDOS = [
-  'pendiente', 
-  'confirmado', 
-  'en-preparacion', 
-  'listo', 
-  'entregado', 
-  'cancelado',
-  'pendiente_pago',
-  'pendiente_verificacion'
-];
-
 const METODOS_PAGO_VALIDOS = ['tarjeta', 'efectivo', 'qr', 'simulado'];
 
 const toInt = (v) => {
@@ -38,15 +38,82 @@ const requireSession = (req, res, next) => {
   next();
 };
 
+// Condición "el pedido p tiene alguna línea de una comida del vendedor `param`"
+const delVendedorSql = (p, param) =>
+  `EXISTS (SELECT 1 FROM pedido_comida pc JOIN comidas c ON c.id = pc.comida_id
+           WHERE pc.pedido_id = ${p}.id AND c.vendedor_id = ${param})`;
+
+// Pedido bloqueado para cambiarle el estado o borrarlo (null si no existe).
+// Con vendedorId solo se encuentra si tiene alguna comida de ese vendedor.
+const lockPedido = async (client, pedidoId, vendedorId = null) => {
+  const { rows } = await client.query(
+    `SELECT p.id, p.estado
+     FROM pedidos p
+     WHERE p.id = $1 AND ($2::int IS NULL OR ${delVendedorSql('p', '$2')})
+     FOR UPDATE`,
+    [pedidoId, vendedorId]
+  );
+  return rows[0] || null;
+};
+
+// Agrega una línea al pedido en su estado inicial; precio es el unitario cobrado
+const insertarLinea = (client, pedidoId, estado, linea) =>
+  client.query(
+    `INSERT INTO pedido_comida (
+      pedido_id, comida_id, cantidad, precio, subtotal, precio_original,
+      descuento_porcentaje, retiro_desde, retiro_hasta, notas, estado
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+    [
+      pedidoId,
+      linea.comida_id,
+      linea.cantidad,
+      linea.precio,
+      linea.subtotal,
+      linea.precio_original,
+      linea.descuento_porcentaje,
+      linea.retiro_desde,
+      linea.retiro_hasta,
+      linea.notas || null,
+      estado
+    ]
+  );
+
+// Pedido como lo ve quien lo pide: un vendedor solo su parte (vista_pedidos_vendedor)
+const leerPedido = async (db, id, vendedorId = null) => {
+  const { rows } = vendedorId
+    ? await db.query('SELECT * FROM vista_pedidos_vendedor WHERE id = $1 AND vendedor_id = $2', [id, vendedorId])
+    : await db.query('SELECT * FROM vista_pedidos_completos WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+// El pedido es del usuario: lo hizo con la sesión iniciada o con su email ya verificado
+const esDelUsuario = async (db, pedidoId, usuarioId) => {
+  const { rows } = await db.query(
+    `SELECT 1
+     FROM pedidos p
+     JOIN usuarios u ON u.id = $2
+     WHERE p.id = $1
+       AND (p.usuario_id = u.id OR (u.verificado AND LOWER(p.email_cliente) = LOWER(u.email)))`,
+    [pedidoId, usuarioId]
+  );
+  return rows.length > 0;
+};
+
+// Los listados de pedidos van del más reciente al más antiguo
+const ORDEN_PEDIDOS = 'fecha_pedido:DESC';
+
 // ============================================
 // GET /api/pedidos - Listar todos los pedidos
+// Query: estado, email, limit, cursor, con_total
 // ============================================
-router.get('/pedidos', async (req, res) => {
+router.get('/pedidos', authorize('GET /pedidos'), async (req, res) => {
   try {
     const estado = norm(req.query.estado);
     const email = norm(req.query.email);
     const limit = Math.min(toInt(req.query.limit) || 100, 500);
-    const offset = toInt(req.query.offset) || 0;
+
+    const cursor = parseCursor(req.query.cursor, ORDEN_PEDIDOS);
+    if (cursor.error) return res.status(400).json({ mensaje: cursor.error });
 
     const where = [];
     const params = [];
@@ -61,27 +128,31 @@ router.get('/pedidos', async (req, res) => {
       where.push(`LOWER(email_cliente) = $${params.length}`);
     }
 
-    let sql = 'SELECT * FROM vista_pedidos_completos';
+    // El total se cuenta sobre la misma vista y filtros, sin el cursor
+    let countSql = 'SELECT COUNT(*)::int AS total FROM vista_pedidos_completos';
+    if (where.length) countSql += ` WHERE ${where.join(' AND ')}`;
+    const countPromise = quiereTotal(req.query.con_total)
+      ? pool.query(countSql, [...params])
+      : null;
+
+    if (cursor.value) where.push(cursorWhere('fecha_pedido', 'id', 'DESC', cursor.value, params));
+
+    let sql = 'SELECT *, fecha_pedido::text AS cursor_valor FROM vista_pedidos_completos';
     if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
     
-    params.push(limit, offset);
-    sql += ` ORDER BY fecha_pedido DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    params.push(limit + 1);
+    sql += ` ORDER BY fecha_pedido DESC, id DESC LIMIT $${params.length}`;
 
-    const { rows } = await pool.query(sql, params);
-    
-    let countSql = 'SELECT COUNT(*) as total FROM pedido';
-    if (where.length) {
-      countSql += ` WHERE ${where.join(' AND ')}`;
-    }
-    const countResult = await pool.query(countSql, params.slice(0, params.length - 2));
+    const [{ rows }, countResult] = await Promise.all([pool.query(sql, params), countPromise]);
+    const { items, next_cursor } = paginar(rows, limit, ORDEN_PEDIDOS);
     
     res.json({
-      pedidos: rows,
+      pedidos: items,
       paginacion: {
-        total: parseInt(countResult.rows[0].total),
         limit,
-        offset,
-        tiene_mas: (offset + limit) < parseInt(countResult.rows[0].total)
+        next_cursor,
+        tiene_mas: next_cursor !== null,
+        ...(countResult && { total: countResult.rows[0].total })
       }
     });
   } catch (error) {
@@ -95,24 +166,28 @@ router.get('/pedidos', async (req, res) => {
 
 // ============================================
 // GET /api/pedidos/:id - Obtener un pedido
+// Lo ven el admin y el cliente que lo hizo; un vendedor, solo su parte.
+// Para cualquier otro no existe (404).
 // ============================================
-router.get('/pedidos/:id', async (req, res) => {
+router.get('/pedidos/:id', authorize('GET /pedidos/:id'), loadVendedor, async (req, res) => {
   const id = toInt(req.params.id);
   if (id === null) {
     return res.status(400).json({ mensaje: 'ID inválido' });
   }
 
   try {
-    const { rows } = await pool.query(
-      'SELECT * FROM vista_pedidos_completos WHERE id = $1',
-      [id]
-    );
+    let pedido = null;
+    if (req.user.rol === ROLES.ADMIN || await esDelUsuario(pool, id, req.user.id)) {
+      pedido = await leerPedido(pool, id);
+    } else if (req.vendedorId) {
+      pedido = await leerPedido(pool, id, req.vendedorId);
+    }
 
-    if (rows.length === 0) {
+    if (!pedido) {
       return res.status(404).json({ mensaje: 'Pedido no encontrado' });
     }
 
-    res.json(rows[0]);
+    res.json(pedido);
   } catch (error) {
     console.error('❌ GET /pedidos/:id error:', error);
     res.status(500).json({ 
@@ -122,10 +197,49 @@ router.get('/pedidos/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/pedidos/:id/historial - Cambios de estado del pedido
+// Respuesta: { pedido_id, estado_actual, historial: [{ estado_anterior, estado_nuevo,
+//   usuario_id, username, rol, nota, vendedor_id, fecha }] } del más antiguo al más reciente
+// vendedor_id = null es el estado del pedido; si no, el de las líneas de ese vendedor.
+// Un vendedor ve el estado de su parte y solo sus filas y las del pedido.
+// ============================================
+router.get('/pedidos/:id/historial', authorize('GET /pedidos/:id/historial'), loadVendedor, async (req, res) => {
+  const id = toInt(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ mensaje: 'ID inválido' });
+  }
+
+  try {
+    const pedido = await leerPedido(pool, id, req.vendedorId);
+    if (!pedido) {
+      return res.status(404).json({ mensaje: 'Pedido no encontrado' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT h.estado_anterior, h.estado_nuevo, h.usuario_id, u.username, h.rol, h.nota,
+              h.vendedor_id, h.fecha
+       FROM pedido_historial_estados h
+       LEFT JOIN usuarios u ON u.id = h.usuario_id
+       WHERE h.pedido_id = $1 AND ($2::int IS NULL OR h.vendedor_id IS NULL OR h.vendedor_id = $2)
+       ORDER BY h.fecha, h.id`,
+      [id, req.vendedorId || null]
+    );
+
+    res.json({ pedido_id: id, estado_actual: pedido.estado, historial: rows });
+  } catch (error) {
+    console.error('❌ GET /pedidos/:id/historial error:', error);
+    res.status(500).json({ 
+      mensaje: 'Error al obtener el historial del pedido', 
+      error: error.message 
+    });
+  }
+});
+
 // ============================================
 // POST /api/pedidos - Crear nuevo pedido individual
 // ============================================
-router.post('/pedidos', async (req, res) => {
+router.post('/pedidos', optionalAuth, async (req, res) => {
   const { 
     comida_id, 
     nombre_cliente, 
@@ -161,7 +275,15 @@ router.post('/pedidos', async (req, res) => {
     await client.query('BEGIN');
 
     const comidaResult = await client.query(
-      'SELECT id, precio, nombre, empresa FROM comidas WHERE id = $1',
+      `SELECT c.id, precio_vigente(c.precio, c.id, c.retiro_hasta) AS precio,
+              c.precio AS precio_original,
+              descuento_vigente(c.id, c.retiro_hasta) AS descuento_porcentaje,
+              c.nombre, COALESCE(v.nombre_comercial, c.empresa) AS empresa,
+              c.retiro_desde, c.retiro_hasta, c.consumir_antes,
+              NOT ${comidaVigenteSql('c')} AS vencida
+       FROM comidas c
+       LEFT JOIN vendedores v ON v.id = c.vendedor_id
+       WHERE c.id = $1 AND c.archivado_en IS NULL`,
       [comida_id]
     );
 
@@ -171,39 +293,64 @@ router.post('/pedidos', async (req, res) => {
     }
 
     const comida = comidaResult.rows[0];
+    if (comida.vencida) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(comidaVencida({ comida_id: comida.id, ...comida }));
+    }
     const precioUnitario = parseFloat(comida.precio);
     const precioTotal = precioUnitario * cantidadInt;
 
+    const faltante = await descontarStock(client, comida.id, cantidadInt);
+    if (faltante) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(stockInsuficiente(faltante));
+    }
+
     const result = await client.query(`
-      INSERT INTO pedido (
-        comida_id, 
+      INSERT INTO pedidos (
+        usuario_id,
         nombre_cliente, 
         email_cliente, 
         telefono_cliente, 
         direccion, 
-        cantidad, 
         precio_total, 
         notas,
         metodo_pago,
         estado
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
       RETURNING id
     `, [
-      comida_id, 
+      req.user?.id ?? null,
       nombre_cliente.trim(), 
       email_cliente.trim().toLowerCase(), 
       telefono_cliente || null, 
       direccion || null, 
-      cantidadInt, 
       precioTotal, 
       notas || `Pedido de ${comida.nombre} - ${comida.empresa || 'Restaurante'}`,
       metodo_pago || 'efectivo',
       'confirmado'
     ]);
 
-    await client.query('COMMIT');
-
     const pedidoId = result.rows[0].id;
+    await insertarLinea(client, pedidoId, 'confirmado', {
+      comida_id: comida.id,
+      cantidad: cantidadInt,
+      precio: precioUnitario,
+      subtotal: precioTotal,
+      precio_original: comida.precio_original,
+      descuento_porcentaje: comida.descuento_porcentaje,
+      retiro_desde: comida.retiro_desde,
+      retiro_hasta: comida.retiro_hasta
+    });
+    await registrarEstado(client, req, { pedidoId, nuevo: 'confirmado' });
+    await registrarAuditoria(client, req, {
+      accion: 'crear',
+      entidad: 'pedido',
+      entidadId: pedidoId,
+      despues: await leerFila(client, 'pedido', pedidoId)
+    });
+
+    await client.query('COMMIT');
 
     const pedidoCompleto = await pool.query(
       'SELECT * FROM vista_pedidos_completos WHERE id = $1',
@@ -226,9 +373,9 @@ router.post('/pedidos', async (req, res) => {
 
 // ============================================
 // POST /api/pedidos/crear-desde-carrito
-// Crea pedidos desde el carrito (MODO SIMULADO)
+// Crea un pedido con una línea por ítem del carrito (MODO SIMULADO)
 // ============================================
-router.post('/pedidos/crear-desde-carrito', requireSession, async (req, res) => {
+router.post('/pedidos/crear-desde-carrito', optionalAuth, requireSession, async (req, res) => {
   const { metodo_pago } = req.body;
   const sessionId = req.sessionId;
 
@@ -265,92 +412,31 @@ router.post('/pedidos/crear-desde-carrito', requireSession, async (req, res) =>
       });
     }
 
-    const itemsResult = await client.query(
-      `SELECT ci.*, c.nombre, c.precio, c.precio_original, 
-              c.descuento_porcentaje, c.empresa, c.categoria
-       FROM carrito_items ci
-       JOIN comidas c ON c.id = ci.comida_id
-       WHERE ci.carrito_id = $1`,
+    const { rows: items } = await client.query(
+      'SELECT 1 FROM carrito_items WHERE carrito_id = $1 LIMIT 1',
       [carrito.id]
     );
-
-    if (itemsResult.rows.length === 0) {
+    if (items.length === 0) {
       await client.query('ROLLBACK');
       return res.status(400).json({ mensaje: 'El carrito está vacío' });
     }
 
-    let total = 0;
-    for (const item of itemsResult.rows) {
-      const precio = parseFloat(item.precio || item.precio_unitario || 0);
-      const cantidad = parseInt(item.cantidad || 1);
-      if (precio <= 0 || cantidad <= 0) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ 
-          mensaje: `Item inválido: ${item.nombre}. Precio o cantidad incorrectos.` 
-        });
-      }
-      total += precio * cantidad;
-    }
-
-    if (total <= 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ mensaje: 'El total del pedido debe ser mayor a 0' });
-    }
-
     // MODO SIMULADO: Todos los pagos se confirman automáticamente
     const estadoPedido = 'confirmado';
-
-    const pedidosCreados = [];
-    for (const item of itemsResult.rows) {
-      const precioUnitario = parseFloat(item.precio || item.precio_unitario);
-      const cantidad = parseInt(item.cantidad);
-      const subtotal = precioUnitario * cantidad;
-      
-      const notasPedido = [
-        item.notas,
-        item.empresa ? `Restaurante: ${item.empresa}` : null,
-        item.descuento_porcentaje > 0 ? `Descuento: ${item.descuento_porcentaje}%` : null,
-        `Pago ${metodo_pago || 'simulado'} - SIMULADO`
-      ].filter(Boolean).join(' | ');
-
-      const pedidoResult = await client.query(
-        `INSERT INTO pedido (
-          comida_id, nombre_cliente, email_cliente, telefono_cliente, direccion,
-          cantidad, precio_total, estado, notas, metodo_pago
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-        RETURNING id`,
-        [
-          item.comida_id,
-          carrito.nombre_cliente,
-          carrito.email_cliente.toLowerCase(),
-          carrito.telefono_cliente,
-          carrito.direccion,
-          cantidad,
-          subtotal,
-          estadoPedido,
-          notasPedido || `Pedido de ${item.nombre}`,
-          metodo_pago || 'simulado'
-        ]
-      );
-      
-      pedidosCreados.push({
-        id: pedidoResult.rows[0].id,
-        comida: item.nombre,
-        empresa: item.empresa,
-        categoria: item.categoria,
-        cantidad: cantidad,
-        precio_unitario: precioUnitario,
-        subtotal: subtotal
-      });
-    }
+    const { pedidoId, total, lineas } = await crearPedidoDesdeCarrito(
+      client, req, carrito, metodo_pago || 'simulado', {
+        estadoInicial: estadoPedido,
+        notas: `Pago ${metodo_pago || 'simulado'} - SIMULADO`
+      }
+    );
 
     // Registrar el pago simulado
     const metadataPago = {
       metodo_pago: metodo_pago || 'simulado',
       modo: 'simulado',
       pago_automatico: true,
-      items: pedidosCreados.length,
-      total_items: pedidosCreados.reduce((sum, p) => sum + p.cantidad, 0),
+      items: lineas.length,
+      total_items: lineas.reduce((sum, l) => sum + l.cantidad, 0),
       cliente: carrito.nombre_cliente,
       email: carrito.email_cliente,
       fecha_simulacion: new Date().toISOString()
@@ -370,7 +456,7 @@ router.post('/pedidos/crear-desde-carrito', requireSession, async (req, res) =>
         total,
         'bob',
         'exitoso',
-        pedidosCreados[0].id,
+        pedidoId,
         JSON.stringify(metadataPago)
       ]
     );
@@ -384,16 +470,18 @@ router.post('/pedidos/crear-desde-carrito', requireSession, async (req, res) =>
 
     await client.query('COMMIT');
 
-    console.log(`✅ [SIMULADO] ${pedidosCreados.length} pedido(s) confirmado(s) automáticamente`);
+    console.log(`✅ [SIMULADO] Pedido ${pedidoId} confirmado automáticamente (${lineas.length} ítem(s))`);
     console.log(`   Total: Bs ${total.toFixed(2)}`);
 
     res.status(201).json({
-      mensaje: '¡Pago simulado exitoso! Pedidos confirmados automáticamente',
+      mensaje: '¡Pago simulado exitoso! Pedido confirmado automáticamente',
       modo: 'simulado',
-      pedidos: pedidosCreados,
+      pedido_id: pedidoId,
+      pedidos: [pedidoId],
+      items: lineas,
       resumen: {
-        cantidad_pedidos: pedidosCreados.length,
-        total_items: pedidosCreados.reduce((sum, p) => sum + p.cantidad, 0),
+        cantidad_pedidos: 1,
+        total_items: lineas.reduce((sum, l) => sum + l.cantidad, 0),
         total: total,
         metodo_pago: metodo_pago || 'simulado',
         estado: estadoPedido,
@@ -403,6 +491,10 @@ router.post('/pedidos/crear-desde-carrito', requireSession, async (req, res) =>
 
   } catch (error) {
     await client.query('ROLLBACK');
+    // Stock insuficiente o comida vencida (ver pedidoDesdeCarrito.js)
+    if (error.status === 409 && error.body) {
+      return res.status(409).json(error.body);
+    }
     console.error('❌ Error al crear pedidos desde carrito:', error);
     res.status(500).json({ 
       mensaje: 'Error al crear pedidos', 
@@ -415,8 +507,10 @@ router.post('/pedidos/crear-desde-carrito', requireSession, async (req, res) =>
 
 // ============================================
 // PUT /api/pedidos/:id - Actualizar pedido completo
+// cantidad solo se puede cambiar en pedidos de una línea; en los de
+// varias debe coincidir con la suma de las líneas.
 // ============================================
-router.put('/pedidos/:id', async (req, res) => {
+router.put('/pedidos/:id', authorize('PUT /pedidos/:id'), async (req, res) => {
   const id = toInt(req.params.id);
   if (id === null) {
     return res.status(400).json({ mensaje: 'ID inválido' });
@@ -456,7 +550,7 @@ router.put('/pedidos/:id', async (req, res) => {
     await client.query('BEGIN');
 
     const pedidoActual = await client.query(
-      'SELECT * FROM pedido WHERE id = $1', 
+      'SELECT * FROM pedidos WHERE id = $1 FOR UPDATE', 
       [id]
     );
     
@@ -467,45 +561,90 @@ router.put('/pedidos/:id', async (req, res) => {
 
     const pedido = pedidoActual.rows[0];
 
+    // El estado se cambia como en PATCH /estado: mueve las líneas y queda en el historial
+    if (estado && estado !== pedido.estado) {
+      const cambio = await cambiarEstado(client, req, pedido, estado);
+      if (cambio.error) {
+        await client.query('ROLLBACK');
+        return res.status(409).json(cambio.error);
+      }
+    }
+
+    const { rows: lineas } = await client.query(
+      'SELECT * FROM pedido_comida WHERE pedido_id = $1 ORDER BY id FOR UPDATE',
+      [id]
+    );
+    const cantidadActual = lineas.reduce((sum, l) => sum + parseInt(l.cantidad), 0);
+
     let precioTotal = pedido.precio_total;
-    if (cantidadInt !== parseInt(pedido.cantidad)) {
+    if (cantidadInt !== cantidadActual) {
+      if (lineas.length !== 1) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ 
+          mensaje: 'El pedido tiene varias comidas; su cantidad no se puede cambiar' 
+        });
+      }
+
+      const linea = lineas[0];
       const comidaResult = await client.query(
         'SELECT precio FROM comidas WHERE id = $1', 
-        [pedido.comida_id]
+        [linea.comida_id]
       );
       
       if (comidaResult.rows.length === 0) {
         await client.query('ROLLBACK');
         return res.status(404).json({ mensaje: 'Comida asociada no encontrada' });
       }
+
+      // La diferencia sale del stock o vuelve a él (las líneas terminadas ya no lo tocan)
+      if (!['entregado', 'cancelado'].includes(linea.estado)) {
+        const diferencia = cantidadInt - parseInt(linea.cantidad);
+        if (diferencia > 0) {
+          const faltante = await descontarStock(client, linea.comida_id, diferencia);
+          if (faltante) {
+            await client.query('ROLLBACK');
+            return res.status(409).json(stockInsuficiente(faltante));
+          }
+        } else {
+          await devolverStock(client, linea.comida_id, -diferencia);
+        }
+      }
       
-      const precioUnitario = parseFloat(comidaResult.rows[0].precio);
+      // Se respeta la rebaja registrada en la línea
+      const precioLista = linea.precio_original !== null
+        ? parseFloat(linea.precio_original)
+        : parseFloat(comidaResult.rows[0].precio);
+      const precioUnitario =
+        Math.round(precioLista * (100 - parseFloat(linea.descuento_porcentaje || 0))) / 100;
       precioTotal = precioUnitario * cantidadInt;
+
+      await client.query(
+        'UPDATE pedido_comida SET cantidad = $1, precio = $2, subtotal = $3 WHERE id = $4',
+        [cantidadInt, precioUnitario, precioTotal, linea.id]
+      );
     }
 
-    await client.query(`
-      UPDATE pedido 
-      SET nombre_cliente = $1, 
-          email_cliente = $2, 
-          telefono_cliente = $3, 
-          direccion = $4, 
-          cantidad = $5, 
-          precio_total = $6, 
-          estado = $7, 
-          notas = $8,
-          fecha_actualizacion = NOW()
-      WHERE id = $9
-    `, [
-      nombre_cliente.trim(), 
-      email_cliente.trim().toLowerCase(), 
-      telefono_cliente || null, 
-      direccion || null, 
-      cantidadInt, 
-      precioTotal, 
-      estado || pedido.estado, 
-      notas, 
-      id
-    ]);
+    await auditarCambio(client, req, { accion: 'actualizar', entidad: 'pedido', entidadId: id }, () =>
+      client.query(`
+        UPDATE pedidos 
+        SET nombre_cliente = $1, 
+            email_cliente = $2, 
+            telefono_cliente = $3, 
+            direccion = $4, 
+            precio_total = $5, 
+            notas = $6,
+            fecha_actualizacion = NOW()
+        WHERE id = $7
+      `, [
+        nombre_cliente.trim(), 
+        email_cliente.trim().toLowerCase(), 
+        telefono_cliente || null, 
+        direccion || null, 
+        precioTotal, 
+        notas, 
+        id
+      ])
+    );
 
     await client.query('COMMIT');
 
@@ -531,9 +670,10 @@ router.put('/pedidos/:id', async (req, res) => {
 // ============================================
 // PATCH /api/pedidos/:id/estado - Solo cambiar estado
 // ============================================
-router.patch('/pedidos/:id/estado', async (req, res) => {
+router.patch('/pedidos/:id/estado', authorize('PATCH /pedidos/:id/estado'), loadVendedor, async (req, res) => {
   const id = toInt(req.params.id);
   const estado = norm(req.body?.estado);
+  const nota = norm(req.body?.nota).slice(0, 500);
 
   if (id === null) {
     return res.status(400).json({ mensaje: 'ID inválido' });
@@ -545,68 +685,301 @@ router.patch('/pedidos/:id/estado', async (req, res) => {
     });
   }
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(`
-      UPDATE pedido 
-      SET estado = $1, fecha_actualizacion = NOW()
-      WHERE id = $2 
-      RETURNING id
-    `, [estado, id]);
+    await client.query('BEGIN');
 
-    if (result.rows.length === 0) {
+    // Un vendedor solo puede mover las líneas de sus comidas
+    const pedido = await lockPedido(client, id, req.vendedorId);
+    if (!pedido) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ mensaje: 'Pedido no encontrado' });
     }
 
-    const pedidoCompleto = await pool.query(
-      'SELECT * FROM vista_pedidos_completos WHERE id = $1',
-      [id]
-    );
+    const cambio = await cambiarEstado(client, req, pedido, estado, {
+      nota: nota || null,
+      vendedorId: req.vendedorId || null
+    });
+    if (cambio.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(cambio.error);
+    }
+
+    await client.query('COMMIT');
 
     console.log(`✅ Estado del pedido ${id} cambiado a: ${estado}`);
-    res.json(pedidoCompleto.rows[0]);
+    res.json(await leerPedido(pool, id, req.vendedorId));
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ PATCH /pedidos/:id/estado error:', error);
     res.status(500).json({ 
       mensaje: 'Error al actualizar el estado del pedido', 
       error: error.message 
     });
+  } finally {
+    client.release();
   }
 });
 
 // ============================================
 // DELETE /api/pedidos/:id - Eliminar pedido
+// Lo que el pedido tenía sin entregar vuelve al stock.
 // ============================================
-router.delete('/pedidos/:id', async (req, res) => {
+router.delete('/pedidos/:id', authorize('DELETE /pedidos/:id'), async (req, res) => {
   const id = toInt(req.params.id);
   if (id === null) {
     return res.status(400).json({ mensaje: 'ID inválido' });
   }
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      'DELETE FROM pedido WHERE id = $1 RETURNING id', 
-      [id]
-    );
-    
-    if (result.rows.length === 0) {
+    await client.query('BEGIN');
+
+    const pedido = await lockPedido(client, id);
+    if (!pedido) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ mensaje: 'Pedido no encontrado' });
     }
 
+    await reponerStock(client, id);
+    await auditarCambio(client, req, { accion: 'eliminar', entidad: 'pedido', entidadId: id }, () =>
+      client.query('DELETE FROM pedidos WHERE id = $1', [id])
+    );
+
+    await client.query('COMMIT');
+
     console.log(`✅ Pedido ${id} eliminado`);
     res.status(204).send();
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ DELETE /pedidos/:id error:', error);
     res.status(500).json({ 
       mensaje: 'Error al eliminar el pedido', 
       error: error.message 
     });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// BANDEJA DEL VENDEDOR
+// La parte de cada pedido con comidas del vendedor autenticado (vista_pedidos_vendedor)
+// ============================================
+
+// Estado al que lleva "avanzar"; las transiciones permitidas están en estadosPedido.js
+const AVANCE_VENDEDOR = {
+  'confirmado': 'en-preparacion',
+  'en-preparacion': 'listo',
+  'listo': 'entregado'
+};
+
+const isFecha = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v));
+
+// Aplica el cambio de estado a las líneas del vendedor si la transición está permitida.
+// `hacia` puede ser una función del estado actual de esas líneas.
+const cambiarEstadoVendedor = async (req, res, { hacia, nota }) => {
+  const id = toInt(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ mensaje: 'ID inválido' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const pedido = await lockPedido(client, id, req.vendedorId);
+    if (!pedido) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ mensaje: 'Pedido no encontrado' });
+    }
+
+    const cambio = await cambiarEstado(client, req, pedido, hacia, { nota, vendedorId: req.vendedorId });
+    if (cambio.error) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(cambio.error);
+    }
+
+    await client.query('COMMIT');
+
+    const { anterior, nuevo } = cambio.value;
+    console.log(`✅ [Vendedor ${req.vendedorId}] Pedido ${id}: ${anterior} → ${nuevo}`);
+    res.json(await leerPedido(pool, id, req.vendedorId));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Cambio de estado (vendedor) error:', error);
+    res.status(500).json({ 
+      mensaje: 'Error al actualizar el estado del pedido', 
+      error: error.message 
+    });
+  } finally {
+    client.release();
+  }
+};
+
+// ============================================
+// GET /api/vendedor/pedidos
+// Filtros: ?estado=&desde=YYYY-MM-DD&hasta=YYYY-MM-DD&limit=&cursor=&con_total=
+// ============================================
+router.get('/vendedor/pedidos', authorize('GET /vendedor/pedidos'), loadVendedor, async (req, res) => {
+  try {
+    const estado = norm(req.query.estado);
+    const desde = norm(req.query.desde);
+    const hasta = norm(req.query.hasta);
+    const limit = Math.min(toInt(req.query.limit) || 50, 200);
+
+    const cursor = parseCursor(req.query.cursor, ORDEN_PEDIDOS);
+    if (cursor.error) return res.status(400).json({ mensaje: cursor.error });
+
+    if (estado && !ESTADOS_VALIDOS.includes(estado)) {
+      return res.status(400).json({ 
+        mensaje: `Estado no válido. Permitidos: ${ESTADOS_VALIDOS.join(', ')}` 
+      });
+    }
+    if ((desde && !isFecha(desde)) || (hasta && !isFecha(hasta))) {
+      return res.status(400).json({ mensaje: 'Las fechas deben tener formato YYYY-MM-DD' });
+    }
+
+    const params = [req.vendedorId];
+    const where = ['v.vendedor_id = $1'];
+
+    if (estado) {
+      params.push(estado);
+      where.push(`v.estado = $${params.length}`);
+    }
+    if (desde) {
+      params.push(desde);
+      where.push(`v.fecha_pedido >= $${params.length}::date`);
+    }
+    if (hasta) {
+      params.push(hasta);
+      where.push(`v.fecha_pedido < $${params.length}::date + 1`);
+    }
+
+    const desdeSql = 'FROM vista_pedidos_vendedor v';
+    const countPromise = quiereTotal(req.query.con_total)
+      ? pool.query(`SELECT COUNT(*)::int AS total ${desdeSql} WHERE ${where.join(' AND ')}`, [...params])
+      : null;
+
+    if (cursor.value) where.push(cursorWhere('v.fecha_pedido', 'v.id', 'DESC', cursor.value, params));
+
+    params.push(limit + 1);
+    const [{ rows }, countResult] = await Promise.all([
+      pool.query(
+        `SELECT v.*, v.fecha_pedido::text AS cursor_valor
+         ${desdeSql}
+         WHERE ${where.join(' AND ')}
+         ORDER BY v.fecha_pedido DESC, v.id DESC
+         LIMIT $${params.length}`,
+        params
+      ),
+      countPromise
+    ]);
+
+    const { items, next_cursor } = paginar(rows, limit, ORDEN_PEDIDOS);
+    res.json({
+      pedidos: items,
+      paginacion: {
+        limit,
+        next_cursor,
+        tiene_mas: next_cursor !== null,
+        ...(countResult && { total: countResult.rows[0].total })
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /vendedor/pedidos error:', error);
+    res.status(500).json({ 
+      mensaje: 'Error al obtener los pedidos', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// POST /api/vendedor/pedidos/:id/aceptar
+// aceptar, rechazar y avanzar mueven solo las líneas de comidas del vendedor;
+// el estado del pedido se recalcula con el de todas sus líneas.
+// Responden con la parte del vendedor, como la bandeja.
+// ============================================
+router.post('/vendedor/pedidos/:id/aceptar', authorize('POST /vendedor/pedidos/:id/aceptar'), loadVendedor, (req, res) =>
+  cambiarEstadoVendedor(req, res, { hacia: 'confirmado' })
+);
+
+// ============================================
+// POST /api/vendedor/pedidos/:id/rechazar
+// Body: { motivo? }
+// Cancela las líneas del vendedor; las de otros vendedores siguen su curso.
+// ============================================
+router.post('/vendedor/pedidos/:id/rechazar', authorize('POST /vendedor/pedidos/:id/rechazar'), loadVendedor, (req, res) => {
+  const motivo = norm(req.body?.motivo).slice(0, 500);
+  return cambiarEstadoVendedor(req, res, {
+    hacia: 'cancelado',
+    nota: `Rechazado por el vendedor${motivo ? `: ${motivo}` : ''}`
+  });
+});
+
+// ============================================
+// POST /api/vendedor/pedidos/:id/avanzar
+// confirmado → en-preparacion → listo → entregado
+// ============================================
+router.post('/vendedor/pedidos/:id/avanzar', authorize('POST /vendedor/pedidos/:id/avanzar'), loadVendedor, (req, res) =>
+  cambiarEstadoVendedor(req, res, {
+    hacia: (actual) => AVANCE_VENDEDOR[actual]
+  })
+);
+
+// ============================================
+// GET /api/vendedor/resumen-diario?fecha=YYYY-MM-DD
+// Unidades vendidas e ingresos por comida (sin líneas canceladas).
+// pedidos cuenta los pedidos con esa comida; uno con varias suma en cada una.
+// ============================================
+router.get('/vendedor/resumen-diario', authorize('GET /vendedor/resumen-diario'), loadVendedor, async (req, res) => {
+  const fecha = norm(req.query.fecha);
+  if (fecha && !isFecha(fecha)) {
+    return res.status(400).json({ mensaje: 'La fecha debe tener formato YYYY-MM-DD' });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.id AS comida_id,
+              c.nombre,
+              COUNT(DISTINCT p.id)::int AS pedidos,
+              COALESCE(SUM(pc.cantidad), 0)::int AS unidades,
+              COALESCE(SUM(pc.subtotal), 0) AS ingresos
+       FROM pedido_comida pc
+       JOIN pedidos p ON p.id = pc.pedido_id
+       JOIN comidas c ON c.id = pc.comida_id
+       WHERE c.vendedor_id = $1
+         AND pc.estado <> 'cancelado'
+         AND DATE(p.fecha) = COALESCE($2::date, CURRENT_DATE)
+       GROUP BY c.id, c.nombre
+       ORDER BY ingresos DESC`,
+      [req.vendedorId, fecha || null]
+    );
+
+    const items = rows.map(r => ({ ...r, ingresos: parseFloat(r.ingresos) }));
+    res.json({
+      fecha: fecha || new Date().toISOString().slice(0, 10),
+      comidas: items,
+      totales: {
+        pedidos: items.reduce((sum, r) => sum + r.pedidos, 0),
+        unidades: items.reduce((sum, r) => sum + r.unidades, 0),
+        ingresos: items.reduce((sum, r) => sum + r.ingresos, 0)
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /vendedor/resumen-diario error:', error);
+    res.status(500).json({ 
+      mensaje: 'Error al obtener el resumen', 
+      error: error.message 
+    });
   }
 });
 
 // ============================================
 // GET /api/pedidos/estadisticas/resumen
 // ============================================
-router.get('/pedidos/estadisticas/resumen', async (req, res) => {
+router.get('/pedidos/estadisticas/resumen', authorize('GET /pedidos/estadisticas/resumen'), async (req, res) => {
   try {
     const [porEstado, totalPedidos, ventasHoy, ventasSemana] = await Promise.all([
       pool.query(`
@@ -614,24 +987,24 @@ router.get('/pedidos/estadisticas/resumen', async (req, res) => {
           estado,
           COUNT(*) as cantidad,
           COALESCE(SUM(precio_total), 0) as total_ventas
-        FROM pedido 
+        FROM pedidos 
         GROUP BY estado
         ORDER BY cantidad DESC
       `),
-      pool.query('SELECT COUNT(*) as total FROM pedido'),
+      pool.query('SELECT COUNT(*) as total FROM pedidos'),
       pool.query(`
         SELECT 
           COUNT(*) as pedidos_hoy,
           COALESCE(SUM(precio_total), 0) as ventas_hoy
-        FROM pedido 
-        WHERE DATE(fecha_pedido) = CURRENT_DATE
+        FROM pedidos 
+        WHERE DATE(fecha) = CURRENT_DATE
       `),
       pool.query(`
         SELECT 
           COUNT(*) as pedidos_semana,
           COALESCE(SUM(precio_total), 0) as ventas_semana
-        FROM pedido 
-        WHERE fecha_pedido >= CURRENT_DATE - INTERVAL '7 days'
+        FROM pedidos 
+        WHERE fecha >= CURRENT_DATE - INTERVAL '7 days'
       `)
     ]);
 
@@ -0,0 +1,159 @@
+// pedidoDesdeCarrito.js - Convierte un carrito en un pedido (checkout y modo simulado)
+// Única copia de las reglas de precio, stock y vencimiento al crear un pedido.
+'use strict';
+
+const { buscarItemVencido, descontarStockCarrito, stockInsuficiente, comidaVencida } = require('./stock');
+const { registrarEstado } = require('./estadosPedido');
+const { leerFila, registrarAuditoria } = require('./auditoria');
+
+// Error con el cuerpo del 409 (el router que llama lo responde tal cual)
+const conflicto = (mensaje, body) => {
+  const err = new Error(mensaje);
+  err.status = 409;
+  err.body = body;
+  return err;
+};
+
+/**
+ * comida_id -> item cobrado, si el carrito tiene exactamente las mismas comidas
+ * y cantidades que se cobraron; si no, lanza el 409 CARRITO_MODIFICADO.
+ */
+const preciosCobrados = (items, itemsCobrados = []) => {
+  const precios = new Map(itemsCobrados.map((i) => [Number(i.comida_id), i]));
+  const igual = items.length === precios.size && items.every((item) => {
+    const cobro = precios.get(item.comida_id);
+    return cobro && parseInt(cobro.cantidad) === parseInt(item.cantidad);
+  });
+  if (!igual) {
+    throw conflicto('Carrito modificado', {
+      mensaje: 'El carrito cambió después de iniciar el pago',
+      codigo: 'CARRITO_MODIFICADO'
+    });
+  }
+  return precios;
+};
+
+/**
+ * Crea el pedido (encabezado en pedidos) con una línea en pedido_comida por
+ * ítem del carrito, dentro de la transacción de `client`. Descuenta el stock;
+ * si no alcanza o alguna comida ya venció lanza un error con status 409 y
+ * body. Cada línea guarda la ventana de retiro de su comida y se cobra al
+ * precio vigente (con rebaja) en este momento, salvo que ya se haya cobrado.
+ * El pedido queda a nombre de req.user si el cliente inició sesión.
+ *
+ * opciones: { estadoInicial = 'confirmado', notas, cobrado }
+ * cobrado = { monto, items: [{ comida_id, cantidad, precio_unitario, precio_original,
+ * descuento_porcentaje }] } es lo que ya se cobró (metadata del pago con tarjeta):
+ * las líneas llevan esos precios y no los de ahora. Si el carrito cambió desde
+ * el cobro, o el total no coincide, lanza el 409 (CARRITO_MODIFICADO / PAGO_NO_COINCIDE).
+ * Devuelve { pedidoId, total, lineas }.
+ */
+const crearPedidoDesdeCarrito = async (
+  client, req, carrito, metodoPago, { estadoInicial = 'confirmado', notas = null, cobrado = null } = {}
+) => {
+  const vencido = await buscarItemVencido(client, carrito.id);
+  if (vencido) throw conflicto('Comida vencida', comidaVencida(vencido));
+
+  const faltante = await descontarStockCarrito(client, carrito.id);
+  if (faltante) throw conflicto('Stock insuficiente', stockInsuficiente(faltante));
+
+  const { rows: items } = await client.query(
+    `SELECT ci.*, c.nombre, c.categoria, c.retiro_desde, c.retiro_hasta,
+            precio_vigente(c.precio, c.id, c.retiro_hasta) AS precio,
+            c.precio AS precio_original,
+            descuento_vigente(c.id, c.retiro_hasta) AS descuento_porcentaje,
+            COALESCE(v.nombre_comercial, c.empresa) AS empresa
+     FROM carrito_items ci
+     JOIN comidas c ON c.id = ci.comida_id
+     LEFT JOIN vendedores v ON v.id = c.vendedor_id
+     WHERE ci.carrito_id = $1
+     ORDER BY ci.id`,
+    [carrito.id]
+  );
+
+  const precios = cobrado && preciosCobrados(items, cobrado.items);
+
+  const lineas = items.map((item) => {
+    const cobro = precios ? precios.get(item.comida_id) : item;
+    const precio = parseFloat(precios ? cobro.precio_unitario : item.precio);
+    const cantidad = parseInt(item.cantidad);
+    return {
+      comida_id: item.comida_id,
+      comida: item.nombre,
+      empresa: item.empresa,
+      categoria: item.categoria,
+      cantidad,
+      precio_unitario: precio,
+      precio_original: parseFloat(cobro.precio_original ?? item.precio_original),
+      descuento_porcentaje: Number(cobro.descuento_porcentaje ?? item.descuento_porcentaje),
+      subtotal: precio * cantidad,
+      retiro_desde: item.retiro_desde,
+      retiro_hasta: item.retiro_hasta,
+      notas: item.notas || null
+    };
+  });
+  const total = lineas.reduce((sum, l) => sum + l.subtotal, 0);
+  if (cobrado && Math.round(total * 100) !== Math.round(parseFloat(cobrado.monto) * 100)) {
+    throw conflicto('Total distinto del cobrado', {
+      mensaje: 'El total del pedido no coincide con el monto cobrado',
+      codigo: 'PAGO_NO_COINCIDE',
+      total,
+      monto_cobrado: parseFloat(cobrado.monto)
+    });
+  }
+
+  const pedidoResult = await client.query(
+    `INSERT INTO pedidos (
+      estado, nombre_cliente, email_cliente, telefono_cliente, direccion,
+      metodo_pago, precio_total, notas, carrito_id, usuario_id
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+    RETURNING id`,
+    [
+      estadoInicial,
+      carrito.nombre_cliente,
+      carrito.email_cliente.toLowerCase(),
+      carrito.telefono_cliente,
+      carrito.direccion,
+      metodoPago,
+      total,
+      notas,
+      carrito.id,
+      req.user?.id ?? null
+    ]
+  );
+  const pedidoId = pedidoResult.rows[0].id;
+
+  for (const linea of lineas) {
+    await client.query(
+      `INSERT INTO pedido_comida (
+        pedido_id, comida_id, cantidad, precio, subtotal, precio_original,
+        descuento_porcentaje, retiro_desde, retiro_hasta, notas, estado
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+      [
+        pedidoId,
+        linea.comida_id,
+        linea.cantidad,
+        linea.precio_unitario,
+        linea.subtotal,
+        linea.precio_original,
+        linea.descuento_porcentaje,
+        linea.retiro_desde,
+        linea.retiro_hasta,
+        linea.notas,
+        estadoInicial
+      ]
+    );
+  }
+
+  await registrarEstado(client, req, { pedidoId, nuevo: estadoInicial });
+  await registrarAuditoria(client, req, {
+    accion: 'crear',
+    entidad: 'pedido',
+    entidadId: pedidoId,
+    despues: await leerFila(client, 'pedido', pedidoId)
+  });
+
+  return { pedidoId, total, lineas };
+};
+
+module.exports = { crearPedidoDesdeCarrito };
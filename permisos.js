@@ -0,0 +1,144 @@
+// permisos.js - Roles y mapa declarativo de permisos por ruta
+'use strict';
+
+const pool = require('./db');
+const { requireAuth } = require('./authMiddleware');
+
+// Única fuente de verdad de roles (coincide con roles.code / usuarios.rol)
+const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  VENDEDOR: 'vendedor',
+  USUARIO: 'usuario',
+});
+
+// Roles que un usuario puede elegir al registrarse
+const ROLES_REGISTRO = [ROLES.USUARIO, ROLES.VENDEDOR];
+
+const { ADMIN, VENDEDOR, USUARIO } = ROLES;
+
+/**
+ * "MÉTODO /ruta" (tal como se declara en el router) -> roles permitidos.
+ * Las rutas que no aparecen aquí no pasan por authorize().
+ */
+const PERMISOS = Object.freeze({
+  // comida.js
+  'POST /comidas': [ADMIN, VENDEDOR],
+  'PUT /comidas/:id': [ADMIN, VENDEDOR],
+  'PATCH /comidas/:id': [ADMIN, VENDEDOR],
+  'DELETE /comidas/:id': [ADMIN, VENDEDOR],
+  'PUT /comidas/:id/rebajas': [ADMIN, VENDEDOR],
+  'POST /comidas/importar': [ADMIN, VENDEDOR],
+  'POST /comidas/:id/restaurar': [ADMIN],
+  'POST /comidas/:id/imagenes': [ADMIN, VENDEDOR],
+  'PUT /comidas/:id/imagenes/:imagenId/principal': [ADMIN, VENDEDOR],
+  'DELETE /comidas/:id/imagenes/:imagenId': [ADMIN, VENDEDOR],
+
+  // categoria.js
+  'POST /categorias': [ADMIN],
+  'PUT /categorias/:id': [ADMIN],
+  'PATCH /categorias/:id': [ADMIN],
+  'DELETE /categorias/:id': [ADMIN],
+  'POST /categorias/:id/restaurar': [ADMIN],
+
+  // pedido.js
+  'GET /pedidos': [ADMIN],
+  'GET /pedidos/estadisticas/resumen': [ADMIN],
+  'GET /pedidos/:id': [ADMIN, VENDEDOR, USUARIO],
+  'GET /pedidos/:id/historial': [ADMIN, VENDEDOR],
+  'PUT /pedidos/:id': [ADMIN],
+  'PATCH /pedidos/:id/estado': [ADMIN, VENDEDOR],
+  'DELETE /pedidos/:id': [ADMIN],
+
+  // pedido.js (bandeja del vendedor)
+  'GET /vendedor/pedidos': [VENDEDOR],
+  'POST /vendedor/pedidos/:id/aceptar': [VENDEDOR],
+  'POST /vendedor/pedidos/:id/rechazar': [VENDEDOR],
+  'POST /vendedor/pedidos/:id/avanzar': [VENDEDOR],
+  'GET /vendedor/resumen-diario': [VENDEDOR],
+
+  // auditoria.js
+  'GET /auditoria': [ADMIN],
+
+  // auth.js (perfil de cualquier usuario; el propio va por /auth/me)
+  'GET /auth/profile/:userId': [ADMIN],
+  'PUT /auth/profile/:userId': [ADMIN],
+});
+
+const hasRole = (user, roles) => !!user && roles.includes(user.rol);
+
+/**
+ * Middleware: exige autenticación y que req.user.rol esté entre los
+ * roles permitidos para la ruta. Responde 403 con código PERMISO_DENEGADO.
+ *
+ *   router.post('/comidas', authorize('POST /comidas'), handler)
+ */
+const authorize = (ruta) => {
+  const roles = PERMISOS[ruta];
+  if (!roles) throw new Error(`Ruta sin permisos declarados: ${ruta}`);
+
+  const checkRole = (req, res, next) => {
+    if (hasRole(req.user, roles)) return next();
+    return res.status(403).json({
+      mensaje: 'No tienes permisos para realizar esta acción',
+      codigo: 'PERMISO_DENEGADO',
+      roles_permitidos: roles,
+    });
+  };
+
+  return [requireAuth, checkRole];
+};
+
+/**
+ * Middleware (después de authorize): un vendedor no puede publicar ni editar
+ * comidas hasta verificar su email. Otros roles pasan directo.
+ */
+const requireVerifiedVendor = async (req, res, next) => {
+  if (!req.user || req.user.rol !== VENDEDOR) return next();
+  try {
+    const { rows } = await pool.query(
+      'SELECT verificado FROM usuarios WHERE id = $1',
+      [req.user.id]
+    );
+    if (rows[0]?.verificado) return next();
+    return res.status(403).json({
+      mensaje: 'Debes verificar tu email antes de publicar comidas',
+      codigo: 'CUENTA_NO_VERIFICADA',
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Middleware (después de authorize): para vendedores carga req.vendedorId
+ * con su perfil de negocio. Sin perfil responde 403. Otros roles pasan directo.
+ */
+const loadVendedor = async (req, res, next) => {
+  if (!req.user || req.user.rol !== VENDEDOR) return next();
+  try {
+    const { rows } = await pool.query(
+      'SELECT id FROM vendedores WHERE usuario_id = $1',
+      [req.user.id]
+    );
+    if (rows.length === 0) {
+      return res.status(403).json({
+        mensaje: 'Registra tu negocio en PUT /api/vendedores/me antes de gestionar comidas',
+        codigo: 'PERFIL_VENDEDOR_REQUERIDO',
+      });
+    }
+    req.vendedorId = rows[0].id;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
+
+module.exports = {
+  ROLES,
+  ROLES_REGISTRO,
+  PERMISOS,
+  hasRole,
+  authorize,
+  requireVerifiedVendor,
+  loadVendedor,
+};
@@ -0,0 +1,160 @@
+// privacidad.js - Exportación y borrado de datos personales de un usuario
+// Los datos del cliente están repartidos en usuarios, carritos, pedidos (y sus líneas) y
+// pagos.metadata; se relacionan con el usuario por su id o por su email.
+'use strict';
+
+const EMAIL_ANONIMO = 'anonimizado@foodsaver.invalid';
+const NOMBRE_ANONIMO = 'Cliente anonimizado';
+
+// Claves de pagos.metadata que contienen datos personales
+const METADATA_PII = ['cliente', 'email', 'customer_name', 'telefono', 'direccion'];
+
+const carritosDelUsuario = `
+  SELECT id FROM carritos WHERE LOWER(email_cliente) = $1
+`;
+
+// $1 = email, $2 = id del usuario
+const pedidosDelUsuario = `
+  SELECT id FROM pedidos WHERE LOWER(email_cliente) = $1 OR usuario_id = $2
+`;
+
+/**
+ * Reúne todo lo asociado al usuario en un objeto JSON.
+ * `db` puede ser el pool o un client.
+ */
+const exportUserData = async (db, usuarioId) => {
+  const { rows: usuarios } = await db.query(
+    `SELECT id, username, email, nombre_completo, rol, verificado, activo,
+            fecha_registro, ultimo_login, fecha_verificacion
+     FROM usuarios WHERE id = $1`,
+    [usuarioId]
+  );
+  const usuario = usuarios[0];
+  if (!usuario) return null;
+
+  const email = (usuario.email || '').toLowerCase();
+
+  const [sesiones, carritos, items, pedidosSimples, pedidos, pagos, correos] = await Promise.all([
+    db.query(
+      `SELECT id, user_agent, ip, fecha_creacion, ultimo_uso, revocada_en
+       FROM sesiones WHERE usuario_id = $1 ORDER BY fecha_creacion`,
+      [usuarioId]
+    ),
+    db.query(
+      `SELECT id, email_cliente, nombre_cliente, telefono_cliente, direccion, estado,
+              fecha_creacion, fecha_actualizacion
+       FROM carritos WHERE LOWER(email_cliente) = $1 ORDER BY fecha_creacion`,
+      [email]
+    ),
+    db.query(
+      `SELECT ci.carrito_id, ci.comida_id, c.nombre, ci.cantidad, ci.precio_unitario,
+              ci.notas, ci.fecha_agregado
+       FROM carrito_items ci
+       JOIN comidas c ON c.id = ci.comida_id
+       WHERE ci.carrito_id IN (${carritosDelUsuario})`,
+      [email]
+    ),
+    db.query(
+      `SELECT * FROM vista_pedidos_completos
+       WHERE id IN (${pedidosDelUsuario}) ORDER BY fecha_pedido`,
+      [email, usuarioId]
+    ),
+    db.query(
+      `SELECT p.id, p.estado, p.fecha,
+              COALESCE(json_agg(json_build_object(
+                'comida_id', pc.comida_id, 'cantidad', pc.cantidad, 'precio', pc.precio
+              )) FILTER (WHERE pc.id IS NOT NULL), '[]') AS items
+       FROM pedidos p
+       LEFT JOIN pedido_comida pc ON pc.pedido_id = p.id
+       WHERE p.usuario_id = $1
+       GROUP BY p.id ORDER BY p.fecha`,
+      [usuarioId]
+    ),
+    db.query(
+      `SELECT id, carrito_id, pedido_id, monto_total, moneda, estado, metadata,
+              fecha_creacion, fecha_actualizacion
+       FROM pagos
+       WHERE carrito_id IN (${carritosDelUsuario}) OR LOWER(metadata->>'email') = $1
+       ORDER BY fecha_creacion`,
+      [email]
+    ),
+    db.query(
+      `SELECT id, asunto, tipo, fecha_creacion
+       FROM correos_salientes WHERE LOWER(destinatario) = $1 ORDER BY fecha_creacion`,
+      [email]
+    ),
+  ]);
+
+  return {
+    generado_en: new Date().toISOString(),
+    usuario,
+    sesiones: sesiones.rows,
+    carritos: carritos.rows.map((c) => ({
+      ...c,
+      items: items.rows.filter((i) => i.carrito_id === c.id),
+    })),
+    pedidos: pedidosSimples.rows,
+    pedidos_detallados: pedidos.rows,
+    pagos: pagos.rows,
+    correos: correos.rows,
+  };
+};
+
+/**
+ * Anonimiza pedidos, carritos y pagos del usuario (se conservan montos)
+ * y elimina la cuenta. Debe llamarse dentro de una transacción.
+ * Devuelve el conteo de filas afectadas por tabla.
+ */
+const eraseUserData = async (client, usuario) => {
+  const email = (usuario.email || '').toLowerCase();
+
+  const pagos = await client.query(
+    `UPDATE pagos SET metadata = metadata - $2::text[]
+     WHERE metadata IS NOT NULL
+       AND (carrito_id IN (${carritosDelUsuario}) OR LOWER(metadata->>'email') = $1)`,
+    [email, METADATA_PII]
+  );
+
+  await client.query(
+    `UPDATE pedido_comida SET notas = NULL
+     WHERE pedido_id IN (${pedidosDelUsuario})`,
+    [email, usuario.id]
+  );
+  const pedidos = await client.query(
+    `UPDATE pedidos
+     SET nombre_cliente = $3, email_cliente = $4,
+         telefono_cliente = NULL, direccion = NULL, notas = NULL, usuario_id = NULL
+     WHERE id IN (${pedidosDelUsuario})`,
+    [email, usuario.id, NOMBRE_ANONIMO, EMAIL_ANONIMO]
+  );
+
+  await client.query(
+    `UPDATE carrito_items SET notas = NULL
+     WHERE carrito_id IN (${carritosDelUsuario})`,
+    [email]
+  );
+  const carritos = await client.query(
+    `UPDATE carritos
+     SET email_cliente = NULL, nombre_cliente = NULL,
+         telefono_cliente = NULL, direccion = NULL
+     WHERE LOWER(email_cliente) = $1`,
+    [email]
+  );
+
+  await client.query('DELETE FROM correos_salientes WHERE LOWER(destinatario) = $1', [email]);
+  await client.query(
+    "DELETE FROM login_intentos WHERE tipo = 'usuario' AND clave = $1",
+    [usuario.username]
+  );
+
+  // sesiones, refresh tokens y tokens de email/reset se borran en cascada
+  await client.query('DELETE FROM usuarios WHERE id = $1', [usuario.id]);
+
+  return {
+    pedidos: pedidos.rowCount,
+    carritos: carritos.rowCount,
+    pagos: pagos.rowCount,
+  };
+};
+
+module.exports = { exportUserData, eraseUserData };
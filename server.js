@@ -18,7 +18,7 @@ if (!process.env.STRIPE_PUBLISHABLE_KEY || !process.env.STRIPE_SECRET_KEY) {
 }
 
 // Inicializa conexión a Postgres (hace ping y loguea)
-require('./db');
+const pool = require('./db');
 
 const { runMigrations } = require('./migrate'); // para /admin/run-migrations
 
@@ -26,6 +26,9 @@ const app = express();
 const isProd = process.env.NODE_ENV === 'production';
 const port = process.env.PORT || 3000;
 
+// Detrás del proxy de Render: req.ip debe ser la IP real del cliente
+if (isProd) app.set('trust proxy', 1);
+
 /* ================= CORS ================= */
 const allowlist = [
   'http://localhost:3000',
@@ -61,12 +64,12 @@ app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 /* ============== Logging Middleware (desarrollo) ============== */
+// Los tokens que viajan en la URL no deben quedar en los logs (ni el x-session-id del carrito)
+const redactPath = (p) => p.replace(/(\/auth\/verify\/)[^/]+/, '$1***');
+
 if (!isProd) {
   app.use((req, res, next) => {
-    console.log(`📨 ${req.method} ${req.path}`);
-    if (req.headers['x-session-id']) {
-      console.log('   Session ID:', req.headers['x-session-id']);
-    }
+    console.log(`📨 ${req.method} ${redactPath(req.path)}`);
     next();
   });
 }
@@ -78,6 +81,9 @@ const pedidoRoutes = require('./pedido');
 const categoriaRoutes = require('./categoria');
 const carritoRoutes = require('./carrito');   
 const checkoutRoutes = require('./checkout'); 
+const vendedorRoutes = require('./vendedor');
+const { router: auditoriaRoutes, registrarAuditoria } = require('./auditoria');
+const { storageName, UPLOADS_DIR, UPLOADS_URL } = require('./storage');
 
 /* ============== Healthcheck ============== */
 app.get('/health', (_req, res) => {
@@ -88,6 +94,11 @@ app.get('/health', (_req, res) => {
   });
 });
 
+/* ============== Archivos subidos (almacenamiento local) ============== */
+if (storageName() === 'local') {
+  app.use(UPLOADS_URL, express.static(UPLOADS_DIR, { index: false, maxAge: '7d' }));
+}
+
 /* ============== Auth ============== */
 app.use('/auth', authRoutes);
 
@@ -97,6 +108,8 @@ app.use('/api', pedidoRoutes);
 app.use('/api', categoriaRoutes);
 app.use('/api', carritoRoutes); 
 app.use('/api', checkoutRoutes);   
+app.use('/api', vendedorRoutes);
+app.use('/api', auditoriaRoutes);
 
 /* ============== Admin: correr migraciones (temporal) ============== */
 app.post('/admin/run-migrations', async (req, res) => {
@@ -106,6 +119,17 @@ app.post('/admin/run-migrations', async (req, res) => {
       return res.status(401).json({ mensaje: 'No autorizado' });
     }
     const result = await runMigrations();
+    // Se registra después: la primera corrida es la que crea la tabla auditoria.
+    // Las migraciones ya quedaron aplicadas, así que si falla la auditoría solo se loguea.
+    try {
+      await registrarAuditoria(pool, req, {
+        accion: 'ejecutar_migraciones',
+        entidad: 'sistema',
+        despues: result
+      });
+    } catch (e) {
+      console.error('Auditoría de migraciones error:', e);
+    }
     res.json({ ok: true, result });
   } catch (e) {
     console.error('Migraciones error:', e);
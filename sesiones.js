@@ -0,0 +1,120 @@
+// sesiones.js - Sesiones de usuario y refresh tokens rotativos
+'use strict';
+
+const { generateToken, hashToken } = require('./tokens');
+require('dotenv-flow').config();
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Todas las funciones reciben `db`: el client de una transacción o el pool
+
+const issueRefreshToken = async (db, sesionId) => {
+  const token = generateToken(48);
+  await db.query(
+    `INSERT INTO refresh_tokens (sesion_id, token_hash, expira_en)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [sesionId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return token;
+};
+
+/**
+ * Abre una sesión para el usuario y devuelve { sesionId, refreshToken }.
+ */
+const createSession = async (db, usuarioId, req) => {
+  const { rows } = await db.query(
+    `INSERT INTO sesiones (usuario_id, user_agent, ip)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [usuarioId, (req.get('user-agent') || '').slice(0, 500) || null, req.ip || null]
+  );
+  const sesionId = rows[0].id;
+  const refreshToken = await issueRefreshToken(db, sesionId);
+  return { sesionId, refreshToken };
+};
+
+/**
+ * Busca el refresh token (bloqueándolo) junto con su sesión.
+ */
+const findRefreshToken = async (db, refreshToken) => {
+  const { rows } = await db.query(
+    `SELECT rt.id, rt.sesion_id, rt.usado_en, (rt.expira_en > NOW()) AS vigente,
+            s.usuario_id, s.revocada_en
+     FROM refresh_tokens rt
+     JOIN sesiones s ON s.id = rt.sesion_id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt, s`,
+    [hashToken(refreshToken)]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Marca el token como usado y emite el siguiente de la misma sesión.
+ */
+const rotateRefreshToken = async (db, tokenRow) => {
+  await db.query('UPDATE refresh_tokens SET usado_en = NOW() WHERE id = $1', [tokenRow.id]);
+  await db.query('UPDATE sesiones SET ultimo_uso = NOW() WHERE id = $1', [tokenRow.sesion_id]);
+  return issueRefreshToken(db, tokenRow.sesion_id);
+};
+
+/**
+ * Revoca una sesión del usuario. Devuelve false si no existe o ya estaba revocada.
+ */
+const revokeSession = async (db, usuarioId, sesionId, motivo) => {
+  const { rowCount } = await db.query(
+    `UPDATE sesiones SET revocada_en = NOW(), motivo_revocacion = $3
+     WHERE id = $1 AND usuario_id = $2 AND revocada_en IS NULL`,
+    [sesionId, usuarioId, motivo]
+  );
+  return rowCount > 0;
+};
+
+/**
+ * Revoca todas las sesiones activas del usuario. Devuelve cuántas cerró.
+ */
+const revokeAllSessions = async (db, usuarioId, motivo) => {
+  const { rowCount } = await db.query(
+    `UPDATE sesiones SET revocada_en = NOW(), motivo_revocacion = $2
+     WHERE usuario_id = $1 AND revocada_en IS NULL`,
+    [usuarioId, motivo]
+  );
+  return rowCount;
+};
+
+/**
+ * Revoca todas las sesiones del usuario excepto `sesionId` (la actual).
+ */
+const revokeOtherSessions = async (db, usuarioId, sesionId, motivo) => {
+  const { rowCount } = await db.query(
+    `UPDATE sesiones SET revocada_en = NOW(), motivo_revocacion = $3
+     WHERE usuario_id = $1 AND revocada_en IS NULL AND id IS DISTINCT FROM $2`,
+    [usuarioId, sesionId, motivo]
+  );
+  return rowCount;
+};
+
+const listActiveSessions = async (db, usuarioId) => {
+  const { rows } = await db.query(
+    `SELECT s.id, s.user_agent, s.ip, s.fecha_creacion, s.ultimo_uso
+     FROM sesiones s
+     WHERE s.usuario_id = $1 AND s.revocada_en IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.sesion_id = s.id AND rt.usado_en IS NULL AND rt.expira_en > NOW()
+       )
+     ORDER BY s.ultimo_uso DESC`,
+    [usuarioId]
+  );
+  return rows;
+};
+
+module.exports = {
+  createSession,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,231 @@
+// stock.js - Disponibilidad de comidas (stock y vencimiento), reservas de carrito, descuento y reposición de stock
+'use strict';
+
+require('dotenv-flow').config();
+
+// Minutos que un item del carrito retiene stock desde que se agrega o cambia su cantidad
+const RESERVA_CARRITO_MIN = Number(process.env.RESERVA_CARRITO_MIN || 30);
+
+// Comida vigente: su ventana de retiro no cerró y no pasó su consumo preferente
+const comidaVigenteSql = (alias = 'c') =>
+  `((${alias}.retiro_hasta IS NULL OR ${alias}.retiro_hasta > NOW())
+    AND (${alias}.consumir_antes IS NULL OR ${alias}.consumir_antes > NOW()))`;
+
+/**
+ * Bloquea la comida y devuelve cuánto puede reservar el carrito:
+ * { existe, nombre, vencida, ilimitado, disponible }
+ * Una comida archivada cuenta como inexistente.
+ * disponible = cantidad_disponible - lo reservado por OTROS carritos vigentes.
+ */
+const getDisponibleParaCarrito = async (client, comidaId, carritoId) => {
+  const { rows } = await client.query(
+    `SELECT c.id, c.nombre, c.cantidad_disponible, c.retiro_hasta, c.consumir_antes,
+            NOT ${comidaVigenteSql('c')} AS vencida
+     FROM comidas c WHERE c.id = $1 AND c.archivado_en IS NULL FOR UPDATE`,
+    [comidaId]
+  );
+  if (rows.length === 0) return { existe: false };
+
+  const comida = rows[0];
+  const base = {
+    existe: true,
+    nombre: comida.nombre,
+    vencida: comida.vencida,
+    retiro_hasta: comida.retiro_hasta,
+    consumir_antes: comida.consumir_antes
+  };
+  if (comida.cantidad_disponible === null) {
+    return { ...base, ilimitado: true, disponible: Infinity };
+  }
+
+  const { rows: reservas } = await client.query(
+    `SELECT COALESCE(SUM(cantidad), 0)::int AS reservado
+     FROM vista_reservas_activas
+     WHERE comida_id = $1 AND carrito_id IS DISTINCT FROM $2`,
+    [comidaId, carritoId]
+  );
+
+  return {
+    ...base,
+    ilimitado: false,
+    disponible: Math.max(comida.cantidad_disponible - reservas[0].reservado, 0)
+  };
+};
+
+// Cantidad pedida de cada comida del carrito, en orden de comida_id para
+// evitar bloqueos cruzados
+const itemsPorComida = async (client, carritoId) => {
+  const { rows } = await client.query(
+    `SELECT ci.comida_id, SUM(ci.cantidad)::int AS cantidad
+     FROM carrito_items ci
+     WHERE ci.carrito_id = $1
+     GROUP BY ci.comida_id
+     ORDER BY ci.comida_id`,
+    [carritoId]
+  );
+  return rows;
+};
+
+/**
+ * Primer item del carrito que pide más de lo disponible (sin contar lo que
+ * reservaron otros carritos), o null si todo alcanza. No descuenta nada;
+ * sirve para no cobrar algo que después no se podrá entregar.
+ * Mismo detalle que descontarStock: { comida_id, nombre, solicitado, disponible }.
+ */
+const buscarFaltanteCarrito = async (client, carritoId) => {
+  for (const item of await itemsPorComida(client, carritoId)) {
+    const stock = await getDisponibleParaCarrito(client, item.comida_id, carritoId);
+    if (stock.existe && stock.disponible < item.cantidad) {
+      return {
+        comida_id: item.comida_id,
+        nombre: stock.nombre,
+        solicitado: item.cantidad,
+        disponible: stock.disponible
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Descuenta del stock todos los items del carrito (en orden de comida_id para
+ * evitar bloqueos cruzados). Si alguno no alcanza devuelve
+ * { comida_id, nombre, solicitado, disponible } y no sigue; la transacción
+ * debe revertirse. Devuelve null si todo se descontó.
+ */
+const descontarStockCarrito = async (client, carritoId) => {
+  const items = await itemsPorComida(client, carritoId);
+  for (const item of items) {
+    const faltante = await descontarStock(client, item.comida_id, item.cantidad, carritoId);
+    if (faltante) return faltante;
+  }
+  return null;
+};
+
+/**
+ * Descuenta `cantidad` de una comida sin tocar lo reservado por los carritos
+ * vigentes, salvo el de `carritoId` (el que se está comprando).
+ * Devuelve null si se pudo, o el detalle del faltante.
+ */
+const descontarStock = async (client, comidaId, cantidad, carritoId = null) => {
+  const stock = await getDisponibleParaCarrito(client, comidaId, carritoId);
+  // Sin control de stock: nada que descontar
+  if (stock.existe && stock.ilimitado) return null;
+
+  if (stock.existe && stock.disponible >= cantidad) {
+    await client.query(
+      'UPDATE comidas SET cantidad_disponible = cantidad_disponible - $2 WHERE id = $1',
+      [comidaId, cantidad]
+    );
+    return null;
+  }
+
+  return {
+    comida_id: comidaId,
+    nombre: stock.nombre || null,
+    solicitado: cantidad,
+    disponible: stock.existe ? stock.disponible : 0
+  };
+};
+
+/**
+ * Devuelve `cantidad` unidades al stock de una comida (si lo controla).
+ */
+const devolverStock = async (client, comidaId, cantidad) => {
+  await client.query(
+    `UPDATE comidas SET cantidad_disponible = cantidad_disponible + $2
+     WHERE id = $1 AND cantidad_disponible IS NOT NULL`,
+    [comidaId, cantidad]
+  );
+};
+
+/**
+ * Renueva la reserva de los items del carrito (o solo el de comidaId) por
+ * RESERVA_CARRITO_MIN minutos, sin pasar del cierre de la ventana de retiro.
+ * Devuelve [{ id, comida_id, reservado_hasta }].
+ */
+const renovarReservas = async (client, carritoId, comidaId = null) => {
+  const { rows } = await client.query(
+    `UPDATE carrito_items ci
+     SET reservado_hasta = LEAST(NOW() + make_interval(mins => $3), c.retiro_hasta)
+     FROM comidas c
+     WHERE c.id = ci.comida_id AND ci.carrito_id = $1
+       AND ($2::int IS NULL OR ci.comida_id = $2)
+     RETURNING ci.id, ci.comida_id, ci.reservado_hasta`,
+    [carritoId, comidaId, RESERVA_CARRITO_MIN]
+  );
+  return rows;
+};
+
+/**
+ * Devuelve al stock las cantidades de las líneas del pedido que siguen vivas
+ * (las entregadas y canceladas ya no tienen nada que devolver). Con lineaIds
+ * solo esas líneas. Llamar en la misma transacción y antes de cancelarlas o
+ * de borrar el pedido. Las comidas sin control de stock no se tocan.
+ */
+const reponerStock = async (client, pedidoId, lineaIds = null) => {
+  await client.query(
+    `UPDATE comidas c
+     SET cantidad_disponible = c.cantidad_disponible + l.cantidad
+     FROM (
+       SELECT comida_id, SUM(cantidad)::int AS cantidad
+       FROM pedido_comida
+       WHERE pedido_id = $1
+         AND estado NOT IN ('entregado', 'cancelado')
+         AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+       GROUP BY comida_id
+     ) l
+     WHERE c.id = l.comida_id AND c.cantidad_disponible IS NOT NULL`,
+    [pedidoId, lineaIds]
+  );
+};
+
+/**
+ * Primer item del carrito cuya comida ya venció o fue archivada, o null.
+ */
+const buscarItemVencido = async (client, carritoId) => {
+  const { rows } = await client.query(
+    `SELECT c.id AS comida_id, c.nombre, c.retiro_hasta, c.consumir_antes,
+            (c.archivado_en IS NOT NULL) AS archivada
+     FROM carrito_items ci
+     JOIN comidas c ON c.id = ci.comida_id
+     WHERE ci.carrito_id = $1 AND (NOT ${comidaVigenteSql('c')} OR c.archivado_en IS NOT NULL)
+     ORDER BY c.id
+     LIMIT 1`,
+    [carritoId]
+  );
+  return rows[0] || null;
+};
+
+// Cuerpo de respuesta 409 cuando la comida ya no se puede retirar
+const comidaVencida = (comida) => ({
+  mensaje: comida.archivada
+    ? `"${comida.nombre}" ya no está disponible: fue retirada del catálogo`
+    : `"${comida.nombre}" ya no está disponible: su ventana de retiro cerró o está vencida`,
+  codigo: comida.archivada ? 'COMIDA_ARCHIVADA' : 'COMIDA_VENCIDA',
+  comida_id: comida.comida_id,
+  nombre: comida.nombre,
+  retiro_hasta: comida.retiro_hasta,
+  consumir_antes: comida.consumir_antes
+});
+
+// Cuerpo de respuesta 409 cuando no alcanza el stock
+const stockInsuficiente = (faltante) => ({
+  mensaje: `No hay suficiente stock de "${faltante.nombre}". Disponible: ${faltante.disponible}`,
+  codigo: 'STOCK_INSUFICIENTE',
+  ...faltante
+});
+
+module.exports = {
+  comidaVigenteSql,
+  getDisponibleParaCarrito,
+  buscarItemVencido,
+  buscarFaltanteCarrito,
+  descontarStockCarrito,
+  descontarStock,
+  devolverStock,
+  reponerStock,
+  renovarReservas,
+  stockInsuficiente,
+  comidaVencida
+};
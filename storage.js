@@ -0,0 +1,69 @@
+// storage.js - Almacenamiento de archivos subidos con adaptadores intercambiables
+// Por defecto se guardan en disco (UPLOADS_DIR) y server.js los sirve en UPLOADS_URL.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv-flow').config();
+
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, 'uploads'));
+const UPLOADS_URL = (process.env.UPLOADS_URL || '/uploads').replace(/\/+$/, '');
+
+// La clave la genera el servidor, pero igual no debe poder salir del directorio
+const rutaLocal = (clave) => {
+  const file = path.resolve(UPLOADS_DIR, clave);
+  if (!file.startsWith(UPLOADS_DIR + path.sep)) throw new Error(`Clave de archivo inválida: ${clave}`);
+  return file;
+};
+
+const adapters = {
+  // Disco local; las URLs son relativas al servidor
+  local: {
+    save: async ({ clave, buffer }) => {
+      const file = rutaLocal(clave);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return { url: `${UPLOADS_URL}/${clave}` };
+    },
+    remove: async (clave) => {
+      try {
+        await fs.promises.unlink(rutaLocal(clave));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+  },
+};
+
+/**
+ * Registra un adaptador propio (ej. S3).
+ * adapter: { save({ clave, buffer, tipo }) -> { url }, remove(clave) }
+ */
+const registerStorage = (name, adapter) => {
+  if (typeof adapter?.save !== 'function' || typeof adapter?.remove !== 'function') {
+    throw new Error('El adaptador debe tener save y remove');
+  }
+  adapters[name] = adapter;
+};
+
+const storageName = () => process.env.STORAGE_DRIVER || 'local';
+
+const getStorage = () => {
+  const adapter = adapters[storageName()];
+  if (!adapter) throw new Error(`Adaptador de almacenamiento desconocido: ${storageName()}`);
+  return adapter;
+};
+
+/**
+ * Borra varios archivos sin cortar por el primero que falle
+ * (se usa después de confirmar la transacción; un archivo huérfano no es grave).
+ */
+const removeFiles = async (claves) => {
+  const storage = getStorage();
+  const results = await Promise.allSettled(claves.map((c) => storage.remove(c)));
+  results
+    .filter((r) => r.status === 'rejected')
+    .forEach((r) => console.error('No se pudo borrar un archivo subido:', r.reason));
+};
+
+module.exports = { getStorage, registerStorage, removeFiles, storageName, UPLOADS_DIR, UPLOADS_URL };
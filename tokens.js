@@ -0,0 +1,12 @@
+// tokens.js - Tokens opacos de un solo uso (reset de contraseña, verificación, etc.)
+'use strict';
+
+const crypto = require('crypto');
+
+// Token aleatorio para enviar al usuario (nunca se guarda en claro)
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Hash SHA-256 que se persiste y se usa para buscar el token
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { generateToken, hashToken };
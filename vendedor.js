@@ -0,0 +1,185 @@
+'use strict';
+// vendedor.js - Perfil de negocio de los vendedores (empresas)
+const express = require('express');
+const pool = require('./db'); // pg Pool
+const { requireAuth } = require('./authMiddleware');
+const { ROLES } = require('./permisos');
+const { parseCursor, cursorWhere, paginar, quiereTotal } = require('./paginacion');
+const router = express.Router();
+
+/* ============ Utils ============ */
+const norm = (t) => (typeof t === 'string' ? t.trim() : '');
+const toIntNonNeg = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+const badRequest = (res, msg) => res.status(400).json({ mensaje: msg });
+
+const isValidUrl = (url) => {
+  if (!url) return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+const isValidEmail = (e) => !e || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
+
+// latitud/longitud van juntas; ambas vacías = sin ubicación
+const parseUbicacion = (body) => {
+  const vacio = (v) => v === undefined || v === null || v === '';
+  if (vacio(body?.latitud) && vacio(body?.longitud)) return { value: { latitud: null, longitud: null } };
+
+  const latitud = Number(body?.latitud);
+  const longitud = Number(body?.longitud);
+  if (vacio(body?.latitud) || vacio(body?.longitud) ||
+      !Number.isFinite(latitud) || !Number.isFinite(longitud) ||
+      Math.abs(latitud) > 90 || Math.abs(longitud) > 180) {
+    return { error: 'latitud y longitud deben enviarse juntas y ser coordenadas válidas' };
+  }
+  return { value: { latitud, longitud } };
+};
+
+const COLUMNAS = `id, usuario_id, nombre_comercial, direccion, telefono, email_contacto, logo,
+  latitud, longitud, fecha_creacion, fecha_actualizacion`;
+
+// Solo el propio vendedor gestiona su perfil
+const requireVendedor = (req, res, next) => {
+  if (req.user?.rol === ROLES.VENDEDOR) return next();
+  return res.status(403).json({
+    mensaje: 'Solo las cuentas de vendedor tienen perfil de negocio',
+    codigo: 'PERMISO_DENEGADO'
+  });
+};
+
+/* ============ GET /vendedores ============ */
+/**
+ * Query params: q (nombre), limit, cursor, con_total
+ * Respuesta: { items: [...], meta: { limit, next_cursor, total? } }
+ */
+router.get('/vendedores', asyncHandler(async (req, res) => {
+  const q = norm(req.query.q);
+  const limit = Math.min(toIntNonNeg(req.query.limit) || 50, 200);
+
+  const orden = 'nombre_comercial:ASC';
+  const cursor = parseCursor(req.query.cursor, orden);
+  if (cursor.error) return badRequest(res, cursor.error);
+
+  const params = [];
+  const where = [];
+  if (q) {
+    params.push(`%${q.toLowerCase()}%`);
+    where.push(`LOWER(v.nombre_comercial) LIKE $${params.length}`);
+  }
+
+  const totalPromise = quiereTotal(req.query.con_total)
+    ? pool.query(
+      `SELECT COUNT(*)::int AS total FROM vendedores v${where.length ? ` WHERE ${where[0]}` : ''}`,
+      [...params]
+    )
+    : null;
+
+  if (cursor.value) where.push(cursorWhere('v.nombre_comercial', 'v.id', 'ASC', cursor.value, params));
+
+  let sql = `
+    SELECT v.id, v.nombre_comercial, v.direccion, v.logo, v.latitud, v.longitud,
+           (SELECT COUNT(*)::int FROM comidas c
+            WHERE c.vendedor_id = v.id AND c.archivado_en IS NULL) AS total_comidas,
+           v.nombre_comercial AS cursor_valor
+    FROM vendedores v
+  `;
+  if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+  params.push(limit + 1);
+  sql += ` ORDER BY v.nombre_comercial ASC, v.id ASC LIMIT $${params.length}`;
+
+  const [{ rows }, totalResult] = await Promise.all([pool.query(sql, params), totalPromise]);
+  const { items, next_cursor } = paginar(rows, limit, orden);
+
+  res.json({
+    items,
+    meta: { limit, next_cursor, ...(totalResult && { total: totalResult.rows[0].total }) }
+  });
+}));
+
+/* ============ GET /vendedores/me ============ */
+router.get('/vendedores/me', requireAuth, requireVendedor, asyncHandler(async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNAS} FROM vendedores WHERE usuario_id = $1`,
+    [req.user.id]
+  );
+  if (rows.length === 0) {
+    return res.status(404).json({
+      mensaje: 'Aún no registraste tu negocio',
+      codigo: 'PERFIL_VENDEDOR_REQUERIDO'
+    });
+  }
+  res.json(rows[0]);
+}));
+
+/* ============ PUT /vendedores/me (crea o reemplaza) ============ */
+/**
+ * Body: { nombre_comercial, direccion?, telefono?, email_contacto?, logo?, latitud?, longitud? }
+ * latitud/longitud marcan el punto de retiro usado en la búsqueda por cercanía.
+ */
+router.put('/vendedores/me', requireAuth, requireVendedor, asyncHandler(async (req, res) => {
+  const nombre = norm(req.body?.nombre_comercial);
+  const direccion = norm(req.body?.direccion);
+  const telefono = norm(req.body?.telefono);
+  const email = norm(req.body?.email_contacto).toLowerCase();
+  const logo = norm(req.body?.logo);
+
+  if (!nombre || nombre.length > 150) {
+    return badRequest(res, 'El nombre comercial es requerido y debe tener ≤ 150 caracteres');
+  }
+  if (!isValidEmail(email)) return badRequest(res, 'El email de contacto no es válido');
+  if (!isValidUrl(logo)) return badRequest(res, 'La URL del logo no es válida');
+  const ubicacion = parseUbicacion(req.body);
+  if (ubicacion.error) return badRequest(res, ubicacion.error);
+  const { latitud, longitud } = ubicacion.value;
+
+  const { rows } = await pool.query(
+    `INSERT INTO vendedores (usuario_id, nombre_comercial, direccion, telefono, email_contacto, logo,
+                             latitud, longitud)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (usuario_id) DO UPDATE SET
+       nombre_comercial = EXCLUDED.nombre_comercial,
+       direccion = EXCLUDED.direccion,
+       telefono = EXCLUDED.telefono,
+       email_contacto = EXCLUDED.email_contacto,
+       logo = EXCLUDED.logo,
+       latitud = EXCLUDED.latitud,
+       longitud = EXCLUDED.longitud
+     RETURNING ${COLUMNAS}, (xmax = 0) AS creado`,
+    [req.user.id, nombre, direccion || null, telefono || null, email || null, logo || null,
+      latitud, longitud]
+  );
+
+  const { creado, ...vendedor } = rows[0];
+  res.status(creado ? 201 : 200).json(vendedor);
+}));
+
+/* ============ GET /vendedores/:id ============ */
+router.get('/vendedores/:id', asyncHandler(async (req, res) => {
+  const id = toIntNonNeg(req.params.id);
+  if (id === null) return badRequest(res, 'ID inválido');
+
+  const { rows } = await pool.query(
+    `SELECT v.id, v.nombre_comercial, v.direccion, v.telefono, v.email_contacto, v.logo,
+            v.latitud, v.longitud,
+            (SELECT COUNT(*)::int FROM comidas c
+             WHERE c.vendedor_id = v.id AND c.archivado_en IS NULL) AS total_comidas
+     FROM vendedores v WHERE v.id = $1`,
+    [id]
+  );
+  if (rows.length === 0) return res.status(404).json({ mensaje: 'Vendedor no encontrado' });
+  res.json(rows[0]);
+}));
+
+/* ============ Error handler del router ============ */
+router.use((err, _req, res, _next) => {
+  console.error('Error vendedores:', err);
+  res.status(500).json({ mensaje: 'Error interno del servidor', error: err.message });
+});
+
+module.exports = router;